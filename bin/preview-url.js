@@ -0,0 +1,27 @@
+#!/usr/bin/env node
+
+// Generate signed preview URL for draft or scheduled blog article
+// Usage: bin/preview-url.js SLUG [DAYS]
+// Copyright (c) 2026 Joseph Huckaby
+
+var Preview = require('../lib/preview.js');
+var config = require('../config.json');
+
+var slug = process.argv[2];
+var days = parseInt( process.argv[3] || 7 );
+
+if (!slug) {
+	console.error("Usage: bin/preview-url.js SLUG [DAYS]");
+	process.exit(1);
+}
+
+var secret = process.env.PIXLCORE_PREVIEW_SECRET || config.preview.secret;
+if (!secret) {
+	console.error("ERROR: No preview secret configured (set preview.secret in config.json, or PIXLCORE_PREVIEW_SECRET).");
+	process.exit(1);
+}
+
+var expires = Math.floor( Date.now() / 1000 ) + (days * 86400);
+var token = Preview.sign( slug, expires, secret );
+
+console.log( config.base_url + '/blog/' + slug + '?preview=' + token );
@@ -9,7 +9,7 @@ app.extend({
 	name: 'PixlCore',
 	epoch: time_now(),
 	default_prefs: {
-		
+	
 	},
 	debug_cats: {
 		all: true,
@@ -43,6 +43,7 @@ app.extend({
 		
 		// mouse events
 		this.setupMouseEvents();
+		this.setupActions();
 		
 		Dialog.hideProgress();
 		
@@ -81,33 +82,12 @@ app.extend({
 		// special page (e.g. about)
 		// args: { slug, meta, body }
 		// meta: { title, icon, org, repo, branch, file }
-		var self = this;
-		var meta = args.meta;
-		var html = '';
-		
-		app.setWindowTitle( meta.title );
-		app.setHeaderTitle( '<i class="mdi mdi-' + meta.icon + '">&nbsp;</i>' + meta.title );
-		
-		html += '<div class="box">';
-		
-		// html += '<div class="box_title repo">';
-		// 	html += '<i class="mdi mdi-' + meta.icon + '">&nbsp;</i>' + meta.title;
-		// 	html += '<div class="button right" onClick="app.goRepo()" title="GitHub Repo for ' + meta.title + '..."><i class="mdi mdi-github">&nbsp;</i>GitHub Repo</div>';
-		// 	html += '<div class="clear"></div>';
-		// html += '</div>';
-		
-		html += '<div class="box_content">';
-		html += '<div class="markdown-body" style="margin-top:15px; margin-bottom:15px;">';
-		
-		html += args.body;
-		
-		html += '<p class="article_fin"><i class="mdi mdi-console-line"></i></p>';
+		var page = Render.special(args);
 		
-		html += '</div>'; // markdown-body
-		html += '</div>'; // box_content
-		html += '</div>'; // box
+		app.setWindowTitle( page.title );
+		app.setHeaderTitle( page.header );
 		
-		this.div.html(html);
+		this.renderPage( page.html );
 		this.expandInlineImages();
 		this.highlightCodeBlocks();
 		this.setupHeaderLinks();
@@ -116,188 +96,193 @@ app.extend({
 	
 	gosub_repo(args) {
 		// show github repo as page content
-		// args: { slug, meta, body }
+		// args: { slug, meta, sidebar, body, toc }
 		// meta: { title, icon, org, repo, branch, file }
-		var self = this;
-		var meta = args.meta;
-		var html = '';
-		var group = this.findSidebarGroup(args.slug);
-		
-		if (!meta.title) meta.title = args.slug;
-		
-		app.setWindowTitle( meta.title + ' | ' + group.title );
-		// app.setHeaderTitle( '<i class="mdi mdi-' + meta.icon + '">&nbsp;</i>' + meta.title );
-		app.setHeaderTitle( '<i class="mdi mdi-' + group.icon + '"></i>' + group.title + '&nbsp;<i class="mdi mdi-chevron-right"></i>' + meta.title );
-		
-		html += '<div class="box">';
-		
-		html += '<div class="box_title repo">';
-			html += '<i class="mdi mdi-' + meta.icon + '">&nbsp;</i>' + meta.title;
-			html += '<div class="button right" onClick="app.goRepo()" title="GitHub Repo for ' + meta.title + '..."><i class="mdi mdi-github">&nbsp;</i>GitHub Repo</div>';
-			html += '<div class="clear"></div>';
-		html += '</div>';
-		
-		html += '<div class="box_content">';
-		html += '<div class="markdown-body">';
-		
-		html += args.body;
+		var page = Render.repo(args);
 		
-		html += '<p class="article_fin"><i class="mdi mdi-console-line"></i></p>';
-		
-		html += '</div>'; // markdown-body
-		html += '</div>'; // box_content
-		html += '</div>'; // box
+		app.setWindowTitle( page.title );
+		app.setHeaderTitle( page.header );
 		
-		this.div.html(html);
+		this.renderPage( page.html );
 		this.expandInlineImages();
 		this.highlightCodeBlocks();
 		this.setupHeaderLinks();
 		this.setupDetailSections();
-		this.redirectGitHubLinks();
 		this.wrapTables();
+		this.setupTOC( args.toc );
 	},
 	
 	gosub_doc(args) {
 		// show specific markdown file from specific github repo as page content
-		// args: { slug, meta, body }
+		// args: { slug, meta, sidebar, body, toc }
 		// meta: { title, icon, org, repo, branch, file }
-		var self = this;
-		var meta = args.meta;
-		var html = '';
-		var group = this.findSidebarGroup(args.slug);
-		
-		if (!meta.title) meta.title = args.slug;
+		var page = Render.doc(args);
 		
-		// try to sniff out the subtitle by the first heading (ugh)
-		if (args.body.match(/<h[123][^>]*>([^<]+)<\/h\d>/)) meta.subtitle = RegExp.$1;
-		else meta.subtitle = 'Misc';
+		app.setWindowTitle( page.title );
+		app.setHeaderTitle( page.header );
 		
-		app.setWindowTitle( meta.subtitle + ' | ' + meta.title + ' | ' + group.title );
-		// app.setHeaderTitle( '<i class="mdi mdi-' + meta.icon + '">&nbsp;</i>' + meta.title );
-		app.setHeaderTitle( '<i class="mdi mdi-' + group.icon + '"></i>' + group.title + '&nbsp;<i class="mdi mdi-chevron-right"></i>' + meta.title + '&nbsp;<i class="mdi mdi-chevron-right"></i>' + meta.subtitle );
+		this.renderPage( page.html );
+		this.expandInlineImages();
+		this.highlightCodeBlocks();
+		this.setupHeaderLinks();
+		this.setupDetailSections();
+		this.wrapTables();
+		this.setupTOC( args.toc );
+	},
+	
+	gosub_blog(args) {
+		// show blog article
+		// args: authors, sidebar, neighbors, related, tags, article, slug, body, toc, page
+		var page = Render.blog(args);
 		
-		html += '<div class="box">';
+		app.setWindowTitle( page.title );
+		app.setHeaderTitle( page.header );
 		
-		html += '<div class="box_title repo">';
-			html += '<i class="mdi mdi-' + meta.icon + '">&nbsp;</i>' + meta.title + ' Documentation';
-			html += '<div class="button right" onClick="app.goRepo()" title="GitHub Repo for ' + meta.title + '..."><i class="mdi mdi-github">&nbsp;</i>GitHub Repo</div>';
-			html += '<div class="clear"></div>';
-		html += '</div>';
-		
-		html += '<div class="box_content">';
-		html += '<div class="markdown-body">';
+		this.renderPage( page.html );
+		this.expandInlineImages();
+		this.highlightCodeBlocks();
+		this.setupHeaderLinks();
+		this.setupDetailSections();
+		this.loadBlogPlugins();
+		this.wrapTables();
+		this.setupTOC( args.toc );
+	},
+	
+	gosub_tag(args) {
+		// show all articles for a given tag
+		// args: authors, sidebar, tag, tag_id, tags, articles, page
+		var page = Render.tag(args);
 		
-		html += args.body;
+		app.setWindowTitle( page.title );
+		app.setHeaderTitle( page.header );
 		
-		html += '<p class="article_fin"><i class="mdi mdi-console-line"></i></p>';
+		this.renderPage( page.html );
+	},
+	
+	gosub_author(args) {
+		// show author profile page
+		// args: authors, sidebar, author_id, bio, articles, page
+		var page = Render.author(args);
 		
-		html += '</div>'; // markdown-body
-		html += '</div>'; // box_content
-		html += '</div>'; // box
+		app.setWindowTitle( page.title );
+		app.setHeaderTitle( page.header );
 		
-		this.div.html(html);
+		this.renderPage( page.html );
 		this.expandInlineImages();
-		this.highlightCodeBlocks();
 		this.setupHeaderLinks();
-		this.setupDetailSections();
-		this.redirectGitHubLinks();
-		this.wrapTables();
 	},
 	
-	gosub_blog(args) {
-		// show blog article
-		// args: authors, sidebar, archives, article, slug, body, page
-		var self = this;
-		var article = args.article;
-		var author = args.authors[ article.author ];
-		var html = '';
+	gosub_archive(args) {
+		// show paginated article archive, grouped by year and month
+		// args: authors, sidebar, tags, tag, tag_id, author_id, offset, limit, total, articles, page
+		var page = Render.archive(args);
 		
-		// args.archives.push({"slug":"test1","words":242,"title":"Now is the time for all good men to come to the aid of their country.","summary":"The quick brown fox jumped over the lazy, sleeping dog.","author":"jhuckaby","date":1704096000,"tags":["Networking","Linux","Perl"]});
+		app.setWindowTitle( page.title );
+		app.setHeaderTitle( page.header );
 		
-		var nice_date = this.getNiceDateText( article.date );
-		var word_count = article.words;
-		var read_minutes = Math.ceil( word_count / 200 );
-		var nice_reading_time = '' + read_minutes + ' ' + pluralize('minute', read_minutes);
+		this.renderPage( page.html );
+	},
+	
+	renderPage(html) {
+		// show page content, or hydrate server-rendered markup if present (both come from htdocs/js/render.js)
+		if (this.div.attr('data-ssr')) this.div.removeAttr('data-ssr');
+		else this.div.html(html);
 		
-		app.setWindowTitle( article.title );
-		app.setHeaderTitle( '<i class="mdi mdi-script-text-outline">&nbsp;</i>The PixlCore Blog' );
+		this.localizeDates();
+	},
+	
+	localizeDates(elem) {
+		// reformat dates rendered in english (see Render.getDateHTML) in the user's locale
+		var self = this;
+		if (!elem) elem = this.div;
+		else if (typeof(elem) == 'string') elem = $(elem);
+		
+		elem.find('time[data-format]').each( function() {
+			var opts = Render.dateFormats[ this.getAttribute('data-format') ];
+			if (opts) this.textContent = self.formatDate( parseInt( this.getAttribute('data-epoch'), 10 ), Object.assign({}, opts) );
+		});
+	},
+	
+	gosub_search(args) {
+		// show search results
+		// args: { query, offset, limit, total, results }
+		var self = this;
+		var html = '';
+		
+		app.setWindowTitle( args.query ? ('Search: ' + args.query) : 'Search' );
+		app.setHeaderTitle( '<i class="mdi mdi-magnify">&nbsp;</i>Search' );
 		
 		html += '<div class="box">';
-		html += '<div class="box_title blog">';
-			html += article.title;
-			html += '<div class="box_subtitle author_box">';
-				html += '<div class="author_avatar" style="background-image:url(' + author.avatar + ')"></div>';
-				html += '<div class="article_info">';
-					html += '<div><i class="mdi mdi-account">&nbsp;</i><a href="' + author.link + '">' + author.name + '</a></div>';
-					html += '<div><i class="mdi mdi-calendar-today-outline">&nbsp;</i>' + nice_date + '</div>';
-					html += '<div><i class="mdi mdi-timer-outline">&nbsp;</i>' + nice_reading_time + '</div>';
-				html += '</div>';
-			html += '</div>';
-		html += '</div>';
-		html += '<div class="box_content">';
-		html += '<div class="markdown-body">';
+		html += '<div class="box_title">Search Articles &amp; Docs</div>';
+		html += '<div class="box_content table">';
 		
-		html += args.body;
+		html += '<div class="search_box"><i class="mdi mdi-magnify"></i><input type="text" id="fe_search" maxlength="256" placeholder="Search blog articles and repo docs..." value="' + encode_attrib_entities(args.query) + '"></div>';
 		
-		html += '<p class="article_fin"><i class="mdi mdi-console-line" title="End of article"></i></p>';
+		if (args.query) {
+			html += '<div class="search_total">' + commify(args.total) + ' ' + pluralize('result', args.total) + ' found</div>';
+		}
 		
-		html += '</div>'; // markdown-body
 		html += '</div>'; // box_content
 		html += '</div>'; // box
 		
-		// prev article preview box
-		var prev_article_idx = find_object_idx( args.archives, { slug: args.slug } ) + 1;
-		
-		if (prev_article_idx < args.archives.length) {
-			var prev_article = args.archives[ prev_article_idx ];
-			var prev_author = args.authors[ prev_article.author ];
-			var nice_prev_date = this.getNiceDateText( prev_article.date );
-			var prev_read_minutes = Math.ceil( prev_article.words / 200 );
-			var prev_reading_time = '' + prev_read_minutes + ' ' + pluralize('minute', prev_read_minutes);
-			
+		if (args.results.length) {
 			html += '<div class="box">';
-			html += '<div class="box_title">Previous Article</div>';
 			html += '<div class="box_content table">';
 			
-			html += '<div class="article_preview_title"><i class="mdi mdi-script-text-outline">&nbsp;</i><a href="/blog/' + prev_article.slug + '">' + prev_article.title + '</a></div>';
-			html += '<div class="article_preview_summary">' + prev_article.summary + '</div>';
+			args.results.forEach( function(result) {
+				var icon = (result.type == 'blog') ? 'script-text-outline' : (result.icon || 'source-branch');
+				
+				html += '<div class="article_preview_title"><i class="mdi mdi-' + icon + '">&nbsp;</i><a href="' + result.url + '">' + encode_entities(result.title) + '</a></div>';
+				html += '<div class="search_snippet">' + result.snippet + '</div>';
+				
+				html += '<div class="article_preview_info">';
+					if (result.type == 'blog') {
+						html += '<div><i class="mdi mdi-script-text-outline">&nbsp;</i>Blog Article</div>';
+						html += '<div><i class="mdi mdi-calendar-today-outline">&nbsp;</i>' + self.getNiceDateText( result.date ) + '</div>';
+					}
+					else {
+						html += '<div><i class="mdi mdi-source-branch">&nbsp;</i>Repo Docs</div>';
+					}
+					html += '<div><i class="mdi mdi-link-variant">&nbsp;</i>' + result.url + '</div>';
+				html += '</div>';
+			} );
 			
-			html += '<div class="article_preview_info">';
-				html += '<div><i class="mdi mdi-account">&nbsp;</i>' + prev_author.name + '</div>';
-				html += '<div><i class="mdi mdi-calendar-today-outline">&nbsp;</i>' + nice_prev_date + '</div>';
-				html += '<div><i class="mdi mdi-timer-outline">&nbsp;</i>' + prev_reading_time + '</div>';
-			html += '</div>';
+			// pagination
+			var prev_offset = args.offset - args.limit;
+			var next_offset = args.offset + args.limit;
+			var base_url = '/search?q=' + encodeURIComponent(args.query);
+			
+			if ((prev_offset >= 0) || (next_offset < args.total)) {
+				html += '<div class="search_nav">';
+				if (prev_offset >= 0) html += '<a class="left" href="' + base_url + '&offset=' + prev_offset + '"><i class="mdi mdi-chevron-left"></i>Previous</a>';
+				if (next_offset < args.total) html += '<a class="right" href="' + base_url + '&offset=' + next_offset + '">Next<i class="mdi mdi-chevron-right"></i></a>';
+				html += '<div class="clear"></div>';
+				html += '</div>';
+			}
 			
 			html += '</div>'; // box_content
 			html += '</div>'; // box
-		} // prev article
-		
-		// article index box
-		html += '<div class="box">';
-		html += '<div class="box_title">All Articles</div>';
-		html += '<div class="box_content table">';
-		
-		var last_date = '';
-		args.archives.forEach( function(article) {
-			var nice_date = self.getNiceMonthText( article.date );
-			if (nice_date != last_date) {
-				html += '<div class="article_index_month">' + nice_date + '</div>';
-				last_date = nice_date;
-			}
-			html += '<div class="article_index_title"><i class="mdi mdi-script-text-outline">&nbsp;</i><a href="/blog/' + article.slug + '">' + article.title + '</a></div>';
-		} );
-		
-		html += '</div>'; // box_content
-		html += '</div>'; // box
+		}
 		
 		this.div.html(html);
-		this.expandInlineImages();
-		this.highlightCodeBlocks();
-		this.setupHeaderLinks();
-		this.setupDetailSections();
-		this.redirectGitHubLinks();
-		this.loadBlogPlugins();
-		this.wrapTables();
+		
+		$('#fe_search').on('keydown', function(event) {
+			if (event.key === 'Enter') self.doSearch( this.value );
+		}).focus();
+	},
+	
+	doSearch(query) {
+		// navigate to search results page
+		query = ('' + query).trim();
+		if (query) window.location = '/search?q=' + encodeURIComponent(query);
+	},
+	
+	qsKeyDown(elem, event) {
+		// quick search in header
+		if (event.key === 'Enter') {
+			event.preventDefault();
+			this.doSearch( elem.value );
+		}
 	},
 	
 	goRepo() {
@@ -307,22 +292,6 @@ app.extend({
 		window.open( meta.link || url );
 	},
 	
-	findSidebarGroup(slug) {
-		// locate matching sidebar group from slug
-		var groups = config.sidebar;
-		
-		for (var idx = 0, len = groups.length; idx < len; idx++) {
-			var group = groups[idx];
-			var items = group.items;
-			
-			for (var idy = 0, ley = items.length; idy < ley; idy++) {
-				if (items[idy] === slug) return group;
-			}
-		}
-		
-		return null;
-	},
-	
 	expandInlineImages(elem) {
 		// expand all inline image URLs on page
 		// this is for markdown docs
@@ -342,8 +311,9 @@ app.extend({
 		// 	$this.remove();
 		// });
 		
+		// ids in untrusted docs are prefixed (see lib/sanitize.js), but links to the bare id should still work
 		var anchor = ('' + location.hash).replace(/\#/, '');
-		var heading = anchor ? $('#' + anchor).get(0) : null;
+		var heading = anchor ? (document.getElementById(anchor) || document.getElementById('user-content-' + anchor)) : null;
 		
 		elem.find('div.markdown-body p img').each( function() {
 			var $this = $(this);
@@ -372,6 +342,79 @@ app.extend({
 		});
 	},
 	
+	setupTOC(toc) {
+		// show table of contents for markdown doc, highlighting the current section while scrolling
+		// toc: [{ level, id, text, children }] from server, empty for short docs
+		var self = this;
+		this.tocHeadings = null;
+		this.tocCurrent = null;
+		if (!toc || !toc.length) return;
+		
+		// collapsed by default on smaller screens, where the toc sits above the doc
+		var collapsed = this.getPref('toc_collapsed');
+		if (collapsed === undefined) collapsed = (window.innerWidth <= 1280);
+		
+		var html = '';
+		html += '<div class="toc' + (collapsed ? ' collapsed' : '') + '">';
+			html += '<div class="toc_title" data-action="toggleTOC"><i class="mdi mdi-format-list-bulleted">&nbsp;</i>Contents<i class="mdi mdi-chevron-down toc_toggle"></i></div>';
+			html += '<div class="toc_list">' + this.getTOCList(toc) + '</div>';
+		html += '</div>';
+		
+		this.div.find('div.markdown-body').first().before( html );
+		
+		// flatten tree into list of heading elements, in document order
+		this.tocHeadings = [];
+		var add_items = function(items) {
+			items.forEach( function(item) {
+				var elem = document.getElementById(item.id);
+				if (elem) self.tocHeadings.push(elem);
+				add_items( item.children );
+			} );
+		};
+		add_items(toc);
+		
+		this.updateTOC();
+	},
+	
+	getTOCList(items) {
+		// get nested html list for toc items
+		var self = this;
+		var html = '<ul>';
+		
+		items.forEach( function(item) {
+			html += '<li><a href="#' + encode_attrib_entities(item.id) + '" data-id="' + encode_attrib_entities(item.id) + '">' + encode_entities(item.text) + '</a>';
+			if (item.children.length) html += self.getTOCList( item.children );
+			html += '</li>';
+		} );
+		
+		return html + '</ul>';
+	},
+	
+	toggleTOC() {
+		// expand or collapse table of contents, and remember for next time
+		var $toc = this.div.find('div.toc');
+		$toc.toggleClass('collapsed');
+		this.setPref('toc_collapsed', $toc.hasClass('collapsed'));
+	},
+	
+	updateTOC() {
+		// highlight toc entry for the last heading scrolled past the header
+		if (!this.tocHeadings) return;
+		
+		var threshold = ($('div.header').outerHeight() || 0) + 20;
+		var current = null;
+		
+		for (var idx = 0, len = this.tocHeadings.length; idx < len; idx++) {
+			if (this.tocHeadings[idx].getBoundingClientRect().top > threshold) break;
+			current = this.tocHeadings[idx].id;
+		}
+		if (current === this.tocCurrent) return;
+		this.tocCurrent = current;
+		
+		this.div.find('div.toc a.active').removeClass('active');
+		if (current) this.div.find('div.toc a').filter( function() { return this.getAttribute('data-id') === current; } ).addClass('active');
+	},
+	
 	setupHeaderLinks(elem) {
 		// add links to article section headers
 		var self = this;
@@ -384,7 +427,7 @@ app.extend({
 			var $this = $(this);
 			var id = $this.prop('id');
 			$this.addClass('heading').prepend( '<a href="#' + id + '" class="anchor"><i class="mdi mdi-link-variant"></i></a>' );
-			if (anchor && (id == anchor)) this.scrollIntoView(true);
+			if (anchor && ((id == anchor) || (id == 'user-content-' + anchor))) this.scrollIntoView(true);
 		});
 	},
 	
@@ -448,41 +491,6 @@ app.extend({
 		}
 	},
 	
-	redirectGitHubLinks(elem) {
-		// redirect select github links to our own site
-		var self = this;
-		if (!elem) elem = this.div;
-		else if (typeof(elem) == 'string') elem = $(elem);
-		
-		elem.find('div.markdown-body a').each( function() {
-			var $this = $(this);
-			var url = $this.attr('href');
-			
-			// convert links to our top-level repos, but only if they're in our sidebar too
-			// e.g. https://www.npmjs.com/package/pixl-server or https://github.com/jhuckaby/pixl-server
-			if (url.match(/^\w+\:\/\/(www.npmjs.com\/package|npmjs.com\/package|github.com\/jhuckaby|github.com\/pixlcore)\/([\w\-]+)\/?$/)) {
-				var repo = RegExp.$2;
-				repo = repo.toLowerCase();
-				if (config.pages[repo]) $this.attr('href', '/view/' + repo);
-			}
-			
-			// convert all links to GH markdown files, in our repos
-			// e.g. https://github.com/jhuckaby/pixl-server-storage/blob/master/docs/Hashes.md
-			if (url.match(/^\w+\:\/\/github.com\/(jhuckaby|pixlcore)\/([\w\-]+)\/blob\/(\w+)\/(.+\.md)(\#[\w\-]+)?$/)) {
-				var repo = RegExp.$2;
-				// var branch = RegExp.$3;
-				var path = RegExp.$4;
-				var hash = RegExp.$5;
-				
-				repo = repo.toLowerCase();
-				if (config.pages[repo] && !config.pages[repo].link) {
-					if (path === 'README.md') $this.attr('href', '/view/' + repo + hash);
-					else $this.attr('href', '/doc/' + repo + '/' + path + hash);
-				}
-			}
-		});
-	},
-	
 	wrapTables(elem) {
 		// wrap all tables with DIVs with special class, for overflow
 		var self = this;
@@ -606,15 +614,16 @@ app.extend({
 		// html += '<div class="header_widget icon"><i class="mdi mdi-tune-vertical-variant" onClick="app.doMySettings()" title="Edit Settings"></i></div>';
 		// html += '<div class="header_widget icon"><i class="mdi mdi-bell-ring-outline" onClick=""></i></div>'; 
 		
-		html += '<div id="d_rss_btn" class="header_widget icon" onClick="app.copyRSSFeed()" title="Copy Blog RSS Link"><i class="mdi mdi-rss"></i></div>'; 
-		html += '<div id="d_theme_ctrl" class="header_widget icon" onClick="app.openThemeSelector()" title="Select Theme"></div>';
-		html += '<div id="d_color_ctrl" class="header_widget icon" onClick="app.openFilterControls()" title="Visual Preferences"><i class="mdi mdi-palette"></i></div>';
-		html += '<div id="d_sidebar_ctrl" class="header_widget icon mobile_hide" onClick="app.toggleSidebar()" title="Toggle Sidebar"></div>';
+		html += '<div id="d_rss_btn" class="header_widget icon" data-action="copyRSSFeed" title="Copy Blog RSS Link"><i class="mdi mdi-rss"></i></div>'; 
+		html += '<div id="d_theme_ctrl" class="header_widget icon" data-action="openThemeSelector" title="Select Theme"></div>';
+		html += '<div id="d_color_ctrl" class="header_widget icon" data-action="openFilterControls" title="Visual Preferences"><i class="mdi mdi-palette"></i></div>';
+		html += '<div id="d_sidebar_ctrl" class="header_widget icon mobile_hide" data-action="toggleSidebar" title="Toggle Sidebar"></div>';
 		
 		// html += '<div id="d_header_clock" class="header_clock"></div>';
-		// html += '<div class="header_search_widget"><i class="mdi mdi-magnify">&nbsp;</i><input type="text" size="15" id="fe_header_search" placeholder="Quick Search" onKeyDown="app.qsKeyDown(this,event)"/></div>';
+		html += '<div class="header_search_widget mobile_hide"><i class="mdi mdi-magnify">&nbsp;</i><input type="text" size="15" id="fe_header_search" placeholder="Quick Search"/></div>';
 		
 		$('#d_header_user_container').html( html );
+		$('#fe_header_search').on('keydown', function(event) { app.qsKeyDown(this, event); });
 		this.initTheme();
 		this.initSidebarTabs();
 		this.initSidebarToggle();
@@ -944,14 +953,6 @@ app.extend({
 		});
 	},
 	
-	getNiceMonthText(epoch) {
-		// format date according to user's prefs, plain text
-		return this.formatDate(epoch, { 
-			year: 'numeric',
-			month: 'long'
-		});
-	},
-	
 	onScroll: function() {
 		// called immediately while scrolling
 		if (app.page_manager && app.page_manager.current_page_id) {
@@ -960,6 +961,7 @@ app.extend({
 		}
 		
 		this.checkPluginSections();
+		this.updateTOC();
 	},
 	
 	onScrollDelay: function() {
@@ -987,8 +989,21 @@ app.extend({
 				delete app.mouseHandler;
 			}
 		});
-	}
+	},
 	
+	setupActions() {
+		// delegated click handler for elements with a data-action attribute, instead of inline handlers (see csp in config.json)
+		// e.g. <div data-action="toggleTOC"> calls app.toggleTOC(elem, event)
+		$(document).on('click', '[data-action]', function(event) {
+			var func = $(this).data('action');
+			if (typeof(app[func]) == 'function') app[func](this, event);
+		});
+		
+		// static elements in index.html
+		$('#d_message').on('mouseup', function() { app.hideMessage(250); });
+		$('#d_logo_overlay').on('click', function() { location.href = '/'; });
+	}
+
 }); // app
 
 // base class for all blog plugins
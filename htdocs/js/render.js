@@ -0,0 +1,477 @@
+// PixlCore Page Rendering
+// Builds page markup for both the server (lib/api.js, so pages work without JS) and the client (htdocs/js/app.js).
+// The client hydrates server-rendered markup instead of rebuilding it, and only localizes the dates (see app.localizeDates).
+// Copyright (c) 2026 Joseph Huckaby
+
+(function() {
+	
+	// date formats, rendered in english on the server, and in the user's locale on the client
+	var DATE_FORMATS = {
+		date: { year: 'numeric', month: 'long', day: 'numeric' },
+		month: { year: 'numeric', month: 'long' },
+		year: { year: 'numeric' },
+		month_name: { month: 'long' }
+	};
+	
+	var Render = {
+		
+		dateFormats: DATE_FORMATS,
+		
+		blog(args) {
+			// render blog article
+			// args: authors, sidebar, neighbors, related, tags, article, slug, body
+			var self = this;
+			var article = args.article;
+			var author = args.authors[ article.author ] || {};
+			var read_minutes = Math.ceil( article.words / 200 );
+			var html = '';
+			
+			html += '<div class="box">';
+			html += '<div class="box_title blog">';
+				html += encodeEntities( article.title );
+				html += '<div class="box_subtitle author_box">';
+					html += this.getAvatar( author );
+					html += '<div class="article_info">';
+						html += '<div><i class="mdi mdi-account' + ((article.authors.length > 1) ? '-multiple' : '') + '">&nbsp;</i>' + this.getAuthorLinks( article.authors, args.authors ) + '</div>';
+						html += '<div><i class="mdi mdi-calendar-today-outline">&nbsp;</i>' + this.getDateHTML( article.date, 'date' ) + '</div>';
+						html += '<div><i class="mdi mdi-timer-outline">&nbsp;</i>' + read_minutes + ' ' + pluralize('minute', read_minutes) + '</div>';
+						html += '<div><i class="mdi mdi-tag-multiple-outline">&nbsp;</i>' + this.getTagLinks( article.tags ) + '</div>';
+					html += '</div>';
+				html += '</div>';
+			html += '</div>';
+			html += '<div class="box_content">';
+			html += '<div class="markdown-body">';
+			
+			html += args.body;
+			
+			html += '<p class="article_fin"><i class="mdi mdi-console-line" title="End of article"></i></p>';
+			
+			html += '</div>'; // markdown-body
+			html += '</div>'; // box_content
+			html += '</div>'; // box
+			
+			// related articles box, or previous article if nothing is related
+			var prev_article_idx = args.neighbors.findIndex( function(item) { return item.slug == args.slug; } ) + 1;
+			
+			if (args.related.length) {
+				html += '<div class="box">';
+				html += '<div class="box_title">Related Articles</div>';
+				html += '<div class="box_content table">';
+				args.related.forEach( function(article) {
+					html += self.getArticlePreview( article, args.authors );
+				} );
+				html += '</div>'; // box_content
+				html += '</div>'; // box
+			}
+			else if (prev_article_idx && (prev_article_idx < args.neighbors.length)) {
+				html += '<div class="box">';
+				html += '<div class="box_title">Previous Article</div>';
+				html += '<div class="box_content table">';
+				html += this.getArticlePreview( args.neighbors[ prev_article_idx ], args.authors );
+				html += '</div>'; // box_content
+				html += '</div>'; // box
+			}
+			
+			// nearby articles box, with link to full archive
+			html += '<div class="box">';
+			html += '<div class="box_title">';
+				html += 'More Articles';
+				html += '<a class="button right" href="/blog/archive" title="Browse all articles"><i class="mdi mdi-archive-outline">&nbsp;</i>Archive</a>';
+				html += '<div class="clear"></div>';
+			html += '</div>';
+			html += '<div class="box_content table">';
+			
+			html += '<div class="article_index_tags">' + this.getTagCloud( args.tags ) + '</div>';
+			
+			var last_month = '';
+			args.neighbors.forEach( function(article) {
+				var month = self.formatDate( article.date, 'month' );
+				if (month != last_month) {
+					html += '<div class="article_index_month">' + self.getDateHTML( article.date, 'month' ) + '</div>';
+					last_month = month;
+				}
+				html += self.getArticleLink( article );
+			} );
+			
+			html += '</div>'; // box_content
+			html += '</div>'; // box
+			
+			return {
+				title: article.title,
+				header: '<i class="mdi mdi-script-text-outline">&nbsp;</i>The PixlCore Blog',
+				html: html
+			};
+		},
+		
+		tag(args) {
+			// render all articles for a given tag
+			// args: authors, sidebar, tag, tag_id, tags, articles
+			var self = this;
+			var html = '';
+			
+			html += '<div class="box">';
+			html += '<div class="box_title">';
+				html += '<i class="mdi mdi-tag-outline">&nbsp;</i>Articles Tagged &ldquo;' + encodeEntities(args.tag) + '&rdquo;';
+				html += '<a class="button right" href="/blog/tag/' + encodeAttrib(args.tag_id) + '/feed.rss" title="RSS Feed for ' + encodeAttrib(args.tag) + '"><i class="mdi mdi-rss">&nbsp;</i>RSS Feed</a>';
+				html += '<div class="clear"></div>';
+			html += '</div>';
+			html += '<div class="box_content table">';
+			
+			args.articles.forEach( function(article) {
+				html += self.getArticlePreview( article, args.authors );
+			} );
+			
+			html += '</div>'; // box_content
+			html += '</div>'; // box
+			
+			// all tags box
+			html += '<div class="box">';
+			html += '<div class="box_title">All Tags</div>';
+			html += '<div class="box_content table">';
+			html += '<div class="article_index_tags">' + this.getTagCloud( args.tags, args.tag_id ) + '</div>';
+			html += '</div>'; // box_content
+			html += '</div>'; // box
+			
+			return {
+				title: 'Articles Tagged "' + args.tag + '"',
+				header: '<i class="mdi mdi-script-text-outline">&nbsp;</i>The PixlCore Blog&nbsp;<i class="mdi mdi-chevron-right"></i>' + encodeEntities(args.tag),
+				html: html
+			};
+		},
+		
+		author(args) {
+			// render author profile page
+			// args: authors, sidebar, author_id, bio, articles
+			var self = this;
+			var author = args.authors[ args.author_id ];
+			var html = '';
+			
+			html += '<div class="box">';
+			html += '<div class="box_title blog">';
+				html += encodeEntities( author.name );
+				html += '<div class="box_subtitle author_box">';
+					html += this.getAvatar( author );
+					html += '<div class="article_info">';
+						(author.social || []).forEach( function(link) {
+							html += '<div><i class="mdi mdi-' + encodeAttrib(link.icon || 'link-variant') + '">&nbsp;</i><a href="' + encodeAttrib(link.url) + '" rel="me">' + encodeEntities(link.title) + '</a></div>';
+						} );
+						html += '<div><i class="mdi mdi-script-text-outline">&nbsp;</i>' + commify(args.articles.length) + ' ' + pluralize('article', args.articles.length) + '</div>';
+					html += '</div>';
+				html += '</div>';
+			html += '</div>';
+			
+			if (args.bio) {
+				html += '<div class="box_content">';
+				html += '<div class="markdown-body">';
+				html += args.bio;
+				html += '</div>'; // markdown-body
+				html += '</div>'; // box_content
+			}
+			html += '</div>'; // box
+			
+			if (args.articles.length) {
+				html += '<div class="box">';
+				html += '<div class="box_title">Articles by ' + encodeEntities(author.name) + '</div>';
+				html += '<div class="box_content table">';
+				
+				args.articles.forEach( function(article) {
+					html += self.getArticlePreview( article, args.authors );
+				} );
+				
+				html += '</div>'; // box_content
+				html += '</div>'; // box
+			}
+			
+			return {
+				title: author.name,
+				header: '<i class="mdi mdi-script-text-outline">&nbsp;</i>The PixlCore Blog&nbsp;<i class="mdi mdi-chevron-right"></i>' + encodeEntities(author.name),
+				html: html
+			};
+		},
+		
+		archive(args) {
+			// render paginated article archive, grouped by year and month
+			// args: authors, sidebar, tags, tag, tag_id, author_id, offset, limit, total, articles
+			var self = this;
+			var title = this.getArchiveTitle( args );
+			var html = '';
+			
+			html += '<div class="box">';
+			html += '<div class="box_title">';
+				html += '<i class="mdi mdi-archive-outline">&nbsp;</i>' + encodeEntities( title );
+				if (args.tag_id || args.author_id) {
+					html += '<a class="button right" href="/blog/archive" title="Show all articles"><i class="mdi mdi-close">&nbsp;</i>Clear Filters</a>';
+				}
+				html += '<div class="clear"></div>';
+			html += '</div>';
+			html += '<div class="box_content table">';
+			
+			html += '<div class="article_index_tags">' + this.getTagCloud( args.tags, args.tag_id, function(tag) {
+				return self.getArchiveURL( args, { tag_id: (tag.id == args.tag_id) ? '' : tag.id, offset: 0 } );
+			} ) + '</div>';
+			
+			html += '<div class="archive_total">' + commify(args.total) + ' ' + pluralize('article', args.total) + ' found</div>';
+			
+			var last_year = '';
+			var last_month = '';
+			args.articles.forEach( function(article) {
+				var year = self.formatDate( article.date, 'year' );
+				var month = self.formatDate( article.date, 'month' );
+				if (year != last_year) {
+					html += '<div class="article_index_year">' + self.getDateHTML( article.date, 'year' ) + '</div>';
+					last_year = year;
+					last_month = '';
+				}
+				if (month != last_month) {
+					html += '<div class="article_index_month">' + self.getDateHTML( article.date, 'month_name' ) + '</div>';
+					last_month = month;
+				}
+				html += self.getArticleLink( article );
+			} );
+			
+			html += this.getArchiveNav( args );
+			
+			html += '</div>'; // box_content
+			html += '</div>'; // box
+			
+			return {
+				title: title,
+				header: '<i class="mdi mdi-script-text-outline">&nbsp;</i>The PixlCore Blog&nbsp;<i class="mdi mdi-chevron-right"></i>Archive',
+				html: html
+			};
+		},
+		
+		special(args) {
+			// render special page, e.g. about
+			// args: { slug, meta, body }
+			var meta = args.meta;
+			var html = '';
+			
+			html += '<div class="box">';
+			html += '<div class="box_content">';
+			html += '<div class="markdown-body" style="margin-top:15px; margin-bottom:15px;">';
+			
+			html += args.body;
+			
+			html += '<p class="article_fin"><i class="mdi mdi-console-line"></i></p>';
+			
+			html += '</div>'; // markdown-body
+			html += '</div>'; // box_content
+			html += '</div>'; // box
+			
+			return {
+				title: meta.title,
+				header: '<i class="mdi mdi-' + encodeAttrib(meta.icon) + '">&nbsp;</i>' + encodeEntities(meta.title),
+				html: html
+			};
+		},
+		
+		repo(args) {
+			// render github repo readme
+			// args: { slug, meta, sidebar, body }
+			var meta = args.meta;
+			var title = meta.title || args.slug;
+			var group = this.findSidebarGroup( args.sidebar, args.slug );
+			
+			return {
+				title: title + ' | ' + group.title,
+				header: this.getGroupHeader( group, [ title ] ),
+				html: this.getRepoBox( meta, title, title, args.body )
+			};
+		},
+		
+		doc(args) {
+			// render specific markdown file from github repo
+			// args: { slug, meta, sidebar, body }
+			var meta = args.meta;
+			var title = meta.title || args.slug;
+			var group = this.findSidebarGroup( args.sidebar, args.slug );
+			
+			// try to sniff out the subtitle by the first heading (ugh)
+			// this comes from the rendered html, so it is already entity-encoded
+			var subtitle = args.body.match(/<h[123][^>]*>([^<]+)<\/h\d>/) ? RegExp.$1 : 'Misc';
+			
+			return {
+				title: subtitle + ' | ' + title + ' | ' + group.title,
+				subtitle: subtitle,
+				header: this.getGroupHeader( group, [ title ] ) + '&nbsp;<i class="mdi mdi-chevron-right"></i>' + subtitle,
+				html: this.getRepoBox( meta, title, title + ' Documentation', args.body )
+			};
+		},
+		
+		getGroupHeader(group, titles) {
+			// get header html for sidebar group followed by plain text titles
+			return '<i class="mdi mdi-' + encodeAttrib(group.icon) + '"></i>' + encodeEntities(group.title) + titles.map( function(title) {
+				return '&nbsp;<i class="mdi mdi-chevron-right"></i>' + encodeEntities(title);
+			} ).join('');
+		},
+		
+		getRepoBox(meta, title, box_title, body) {
+			// get html for repo box with github button and markdown body
+			var html = '';
+			
+			html += '<div class="box">';
+			
+			html += '<div class="box_title repo">';
+				html += '<i class="mdi mdi-' + encodeAttrib(meta.icon) + '">&nbsp;</i>' + encodeEntities(box_title);
+				html += '<div class="button right" data-action="goRepo" title="GitHub Repo for ' + encodeAttrib(title) + '..."><i class="mdi mdi-github">&nbsp;</i>GitHub Repo</div>';
+				html += '<div class="clear"></div>';
+			html += '</div>';
+			
+			html += '<div class="box_content">';
+			html += '<div class="markdown-body">';
+			
+			html += body;
+			
+			html += '<p class="article_fin"><i class="mdi mdi-console-line"></i></p>';
+			
+			html += '</div>'; // markdown-body
+			html += '</div>'; // box_content
+			html += '</div>'; // box
+			
+			return html;
+		},
+		
+		getAvatar(author) {
+			// get html for author avatar (url comes from config, so quote it for css and the attribute)
+			if (!author.avatar) return '<div class="author_avatar"></div>';
+			return '<div class="author_avatar" style="background-image:url(' + encodeAttrib( JSON.stringify(author.avatar) ) + ')"></div>';
+		},
+		
+		getAuthorLinks(ids, authors) {
+			// get comma-separated author profile links
+			return ids.map( function(id) {
+				return '<a href="/blog/author/' + encodeAttrib(id) + '">' + encodeEntities(authors[id] ? authors[id].name : id) + '</a>';
+			} ).join(', ');
+		},
+		
+		getArticleLink(article) {
+			// get html for article title in index listings
+			return '<div class="article_index_title"><i class="mdi mdi-script-text-outline">&nbsp;</i><a href="/blog/' + encodeAttrib(article.slug) + '">' + encodeEntities(article.title) + '</a></div>';
+		},
+		
+		getArticlePreview(article, authors) {
+			// get html for article preview (title, summary, author, date, reading time)
+			var author_names = article.authors.map( function(id) { return authors[id] ? authors[id].name : id; } ).join(', ');
+			var read_minutes = Math.ceil( article.words / 200 );
+			var html = '';
+			
+			html += '<div class="article_preview_title"><i class="mdi mdi-script-text-outline">&nbsp;</i><a href="/blog/' + encodeAttrib(article.slug) + '">' + encodeEntities(article.title) + '</a></div>';
+			html += '<div class="article_preview_summary">' + encodeEntities(article.summary) + '</div>';
+			
+			html += '<div class="article_preview_info">';
+				html += '<div><i class="mdi mdi-account">&nbsp;</i>' + encodeEntities(author_names) + '</div>';
+				html += '<div><i class="mdi mdi-calendar-today-outline">&nbsp;</i>' + this.getDateHTML( article.date, 'date' ) + '</div>';
+				html += '<div><i class="mdi mdi-timer-outline">&nbsp;</i>' + read_minutes + ' ' + pluralize('minute', read_minutes) + '</div>';
+			html += '</div>';
+			
+			return html;
+		},
+		
+		getTagID(tag) {
+			// convert tag title to url-safe id
+			return tag.toLowerCase().replace(/\W+/g, '-').replace(/^\-+|\-+$/g, '');
+		},
+		
+		getTagLinks(tags) {
+			// get comma-separated tag links for article
+			var self = this;
+			return tags.map( function(tag) {
+				return '<a href="/blog/tag/' + self.getTagID(tag) + '">' + encodeEntities(tag) + '</a>';
+			} ).join(', ');
+		},
+		
+		getTagCloud(tags, sel_id, get_url) {
+			// get html for all tags with article counts, linking to tag pages unless get_url is provided
+			return tags.map( function(tag) {
+				var classes = 'article_tag' + ((tag.id == sel_id) ? ' active' : '');
+				var url = get_url ? get_url(tag) : ('/blog/tag/' + tag.id);
+				return '<a class="' + classes + '" href="' + encodeAttrib(url) + '"><i class="mdi mdi-tag-outline"></i>' + encodeEntities(tag.title) + '<span>' + tag.count + '</span></a>';
+			} ).join('');
+		},
+		
+		getArchiveTitle(args) {
+			// get plain text title for archive page, including filters and page number
+			var author = args.author_id ? args.authors[ args.author_id ] : null;
+			var title = 'Article Archive';
+			
+			if (args.tag_id) title = 'Articles Tagged "' + args.tag + '"';
+			if (author) title = (args.tag_id ? (title + ' by ') : 'Articles by ') + author.name;
+			if (args.offset) title += ' (Page ' + (Math.floor(args.offset / args.limit) + 1) + ')';
+			
+			return title;
+		},
+		
+		getArchiveURL(args, overrides) {
+			// get archive url for current filters, with optional overrides: { tag_id, author_id, offset }
+			var opts = Object.assign( { tag_id: args.tag_id, author_id: args.author_id, offset: args.offset }, overrides || {} );
+			var query = [];
+			
+			if (opts.tag_id) query.push( 'tag=' + encodeURIComponent(opts.tag_id) );
+			if (opts.author_id) query.push( 'author=' + encodeURIComponent(opts.author_id) );
+			if (opts.offset) query.push( 'offset=' + opts.offset );
+			
+			return '/blog/archive' + (query.length ? ('?' + query.join('&')) : '');
+		},
+		
+		getArchiveNav(args) {
+			// get html for archive pagination links (newer / older)
+			var prev_offset = args.offset - args.limit;
+			var next_offset = args.offset + args.limit;
+			var html = '';
+			
+			if ((prev_offset < 0) && (next_offset >= args.total)) return '';
+			
+			html += '<div class="archive_nav">';
+			if (prev_offset >= 0) html += '<a class="left" href="' + encodeAttrib( this.getArchiveURL( args, { offset: prev_offset } ) ) + '"><i class="mdi mdi-chevron-left"></i>Newer</a>';
+			if (next_offset < args.total) html += '<a class="right" href="' + encodeAttrib( this.getArchiveURL( args, { offset: next_offset } ) ) + '">Older<i class="mdi mdi-chevron-right"></i></a>';
+			html += '<div class="archive_page">Page ' + (Math.floor(args.offset / args.limit) + 1) + ' of ' + Math.ceil(args.total / args.limit) + '</div>';
+			html += '<div class="clear"></div>';
+			html += '</div>';
+			
+			return html;
+		},
+		
+		findSidebarGroup(groups, slug) {
+			// locate matching sidebar group from slug, or fallback to first group
+			return groups.find( function(group) { return group.items.includes(slug); } ) || groups[0];
+		},
+		
+		formatDate(epoch, format) {
+			// format date as plain english text, e.g. "January 1, 2024" (see DATE_FORMATS)
+			return (new Date( epoch * 1000 )).toLocaleString( 'en-US', DATE_FORMATS[format] );
+		},
+		
+		getDateHTML(epoch, format) {
+			// get date as time element, which the client reformats in the user's locale (see app.localizeDates)
+			var iso = (new Date( epoch * 1000 )).toISOString();
+			return '<time datetime="' + iso + '" data-epoch="' + epoch + '" data-format="' + format + '">' + this.formatDate(epoch, format) + '</time>';
+		}
+	
+	};
+	
+	function encodeEntities(text) {
+		// escape text for inclusion in html
+		return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+	}
+	
+	function encodeAttrib(text) {
+		// escape text for inclusion in double-quoted html attribute
+		return encodeEntities(text).replace(/"/g, '&quot;');
+	}
+	
+	function pluralize(word, count) {
+		// add s to word if count is not one
+		return (count == 1) ? word : (word + 's');
+	}
+	
+	function commify(num) {
+		// add commas to integer, e.g. 1,000
+		return String(num).replace(/\B(?=(\d{3})+(?!\d))/g, ',');
+	}
+	
+	// this file is loaded by both node and the browser
+	if (typeof(module) != 'undefined') module.exports = Render;
+	else window.Render = Render;
+
+})();
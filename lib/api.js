@@ -3,6 +3,7 @@
 
 const fs = require('fs');
 const Path = require('path');
+const crypto = require('crypto');
 const assert = require("assert");
 const async = require('async');
 
@@ -11,8 +12,17 @@ const Tools = require("pixl-tools");
 const PixlRequest = require("pixl-request");
 const LRU = require('pixl-cache');
 const marked = require('marked');
+const yaml = require('js-yaml');
+const SearchIndex = require('./search.js');
+const Sources = require('./sources.js');
+const DiskCache = require('./disk-cache.js');
+const EventLog = require('./event-log.js');
+const Render = require('../htdocs/js/render.js');
+const Preview = require('./preview.js');
+const Sanitize = require('./sanitize.js');
 
 const config = require('../config.json');
+const pkg = require('../package.json');
 
 // setup marked
 marked.use({ renderer: {
@@ -35,11 +45,14 @@ marked.use({ renderer: {
 module.exports = {
 	
 	startup: function(callback) {
+		var self = this;
+		// entries are kept past their ttl, so they can be served stale while revalidating
 		this.cache = new LRU({ 
-			maxAge: 3600,
+			maxAge: config.ttl + config.cache.max_stale,
 			maxItems: 5000, 
 			maxBytes: 1024 * 1024 * 50
 		});
+		this.fetches = {};
 		this.html = fs.readFileSync( Path.join( Path.dirname(__dirname), 'htdocs', 'index.html'), 'utf8');
 		
 		this.request = new PixlRequest( "PixlCore.com v1.0" );
@@ -48,60 +61,529 @@ module.exports = {
 		this.request.setAutoError( true );
 		this.request.setKeepAlive( true );
 		
-		this.preloadBlog(callback);
-		// callback();
+		// setup content sources (github, local, s3)
+		this.sources = {};
+		this.diskCache = null;
+		this.eventLog = null;
+		try {
+			for (var id in config.sources) {
+				this.sources[id] = Sources.create( id, config.sources[id], this );
+			}
+			
+			// fail now (rather than on every fetch) if a source we use in this mode isn't usable, e.g. local dir not set
+			[ config.blog ].concat( Object.values(config.pages).filter( function(page) { return !!page.org; } ) ).forEach( function(loc) {
+				var source = self.get_source(loc);
+				if (source && source.getError()) throw new Error( source.getError() );
+			} );
+			
+			// optional disk cache tier, for cold starts and upstream outages
+			// webhook pushes are shared through it too, so all pool workers purge their memory caches
+			if (config.cache.dir) {
+				this.diskCache = new DiskCache( Path.resolve( Path.dirname(__dirname), config.cache.dir ) );
+				this.eventLog = new EventLog( Path.join( this.diskCache.dir, 'events' ) );
+			}
+		}
+		catch (err) {
+			return callback(err);
+		}
+		
+		this.searchIndex = new SearchIndex();
+		this.knownDocs = {};
+		
+		this.preloadBlog( function(err) {
+			if (err) return callback(err);
+			
+			// index repo docs in the background, so we don't delay startup
+			self.indexPages();
+			
+			// pick up webhook pushes received by other workers
+			if (self.eventLog) self.eventTimer = setInterval( function() { self.pollEvents(); }, config.webhook.poll_interval * 1000 );
+			callback();
+		} );
 	},
 	
 	preloadBlog(callback) {
 		// preload all blog articles, cache in memory
+		// articles that fail to load are logged and retried later, so they never abort startup
 		var self = this;
 		this.articles = {};
+		this.articleLinks = {};
+		this.relatedScores = {};
+		this.failedArticles = {};
+		this.retryTimers = {};
+		this.articleList = [];
+		this.pinnedArticles = {};
+		this.discoverError = null;
+		this.articlesModified = 0;
 		
-		async.eachLimit( config.articles, 8,
-			function(slug, callback) {
-				var url = 'https://raw.githubusercontent.com/pixlcore/blog/main/' + slug + '.md';
-				self.logDebug(4, "Preloading blog article: " + slug + ": " + url);
-				
-				self.get_cached_url( url, function(err, text) {
+		this.refreshArticleList( function() {
+			var slugs = Object.keys(self.failedArticles);
+			if (slugs.length) self.logDebug(1, "WARNING: " + slugs.length + " blog articles failed to load", slugs);
+			callback();
+		} );
+	},
+	
+	refreshArticleList: function(callback) {
+		// rebuild article list from config and discovery, load new articles and drop removed ones
+		var self = this;
+		
+		this.discoverArticles( function(err, discovered) {
+			if (err) {
+				// keep what we had, so a bad manifest never empties the blog
+				self.logDebug(1, "WARNING: Failed to discover blog articles: " + err);
+				self.discoverError = err.message || String(err);
+				discovered = self.articleList.filter( function(slug) { return !self.pinnedArticles[slug]; } );
+			}
+			else self.discoverError = null;
+			
+			var old_list = self.articleList;
+			self.pinnedArticles = {};
+			self.articleList = self.merge_article_list( discovered );
+			if (self.articleList.join("\n") !== old_list.join("\n")) self.articlesModified = Tools.timeNow(true);
+			
+			old_list.forEach( function(slug) {
+				if (!self.articleList.includes(slug)) self.unloadArticle(slug);
+			} );
+			
+			async.eachLimit( self.articleList.filter( function(slug) { return !self.articles[slug]; } ), 8,
+				function(slug, callback) {
+					self.logDebug(4, "Preloading blog article: " + slug);
+					self.loadArticle( slug, function() { callback(); } );
+				},
+				function() { callback(); }
+			);
+		} );
+	},
+	
+	discoverArticles: function(callback) {
+		// find article slugs in the blog repo itself, via manifest file or directory listing
+		// fire callback with (err, slugs), slugs is empty if discovery is disabled
+		var self = this;
+		var opts = config.discover;
+		var loc = null;
+		
+		var finish = function(slugs) {
+			callback( null, slugs.filter( function(slug) {
+				if (slug.match(/^[\w\-]+$/)) return true;
+				self.logDebug(3, "Skipping invalid discovered article slug: " + slug);
+				return false;
+			} ) );
+		};
+		
+		switch (opts.mode) {
+			case '':
+				callback( null, [] );
+			break;
+			
+			case 'manifest':
+				// json array of slugs, filenames or { slug } objects, or an object with an articles array
+				loc = this.get_blog_loc( opts.manifest );
+				this.get_cached_text( loc, function(err, text) {
 					if (err) return callback(err);
 					
-					/* <!-- Title: Process-Level Network Monitoring Using eBPF Kernel Probes -->
-					<!-- Summary: My journey attempting to create a process-specific network bandwidth monitor, similar to Nethogs, using built-in Linux tools and libraries. -->
-					<!-- Author: jhuckaby -->
-					<!-- Date: 2024/01/01 -->
-					<!-- Tags: Networking, Linux, Perl --> */
+					var list = null;
+					try { list = JSON.parse(text); }
+					catch (e) { return callback( new Error("Invalid article manifest: " + opts.manifest + ": " + e.message) ); }
 					
-					var article = {
-						slug: slug,
-						words: text.replace(/<.+?>/g, '').replace(/```[\S\s]+?```/g, '').replace(/\[([^\]]+)\]\(([^\)]+)\)/g, '$1').match(/\w+/g).length
-						// body: text
-					};
-					text.replace( /<\!--\s*(\w+):\s*(.+?)\s*-->/g, function(m_all, key, value) {
-						article[ key.toLowerCase() ] = value;
-						return m_all;
-					} );
-					article.date = Math.floor( (new Date(article.date + ' 00:00:00')).getTime() / 1000 );
-					article.tags = article.tags.split(/\,\s*/);
-					self.articles[slug] = article;
+					if (Tools.isaHash(list)) list = list.articles;
+					if (!Tools.isaArray(list)) return callback( new Error("Invalid article manifest: " + opts.manifest + ": Expected an array of articles") );
 					
-					callback();
-				});
+					finish( list.map( function(item) {
+						return String( Tools.isaHash(item) ? (item.slug || item.file) : item ).replace(/\.md$/, '');
+					} ) );
+				} );
+			break;
+			
+			case 'directory':
+				// all markdown files at the top level of the blog repo, minus the readme and any files used by pages
+				loc = this.get_blog_loc( '' );
+				var source = this.get_source(loc);
+				if (!source) return callback( new Error("Unknown content source for blog") );
+				
+				var skip = { 'readme.md': 1 };
+				for (var id in config.pages) {
+					var page = config.pages[id];
+					if (page.file && (page.org == config.blog.org) && (page.repo == config.blog.repo)) skip[ page.file.toLowerCase() ] = 1;
+				}
+				
+				source.list( loc, function(err, files) {
+					if (err) return callback(err);
+					finish( files.filter( function(file) {
+						return file.match(/\.md$/i) && !skip[ file.toLowerCase() ];
+					} ).map( function(file) { return file.replace(/\.md$/i, ''); } ) );
+				} );
+			break;
+			
+			default:
+				callback( new Error("Unknown article discovery mode: " + opts.mode) );
+			break;
+		}
+	},
+	
+	merge_article_list: function(discovered) {
+		// merge discovered slugs with config.articles, which pins articles (listed first, in order) or excludes them ("!slug")
+		var self = this;
+		var excluded = {};
+		var list = [];
+		
+		config.articles.forEach( function(slug) {
+			if (slug.match(/^\!(.+)$/)) excluded[ RegExp.$1 ] = 1;
+			else if (!list.includes(slug)) { list.push(slug); self.pinnedArticles[slug] = 1; }
+		} );
+		
+		discovered.forEach( function(slug) {
+			if (!excluded[slug] && !list.includes(slug)) list.push(slug);
+		} );
+		
+		return list;
+	},
+	
+	unloadArticle: function(slug) {
+		// forget article that is no longer in the list, and cancel any pending retry
+		this.logDebug(4, "Removing blog article: " + slug);
+		
+		delete this.articles[slug];
+		delete this.articleLinks[slug];
+		this.articlesModified = Tools.timeNow(true);
+		delete this.failedArticles[slug];
+		this.searchIndex.remove( 'blog/' + slug );
+		
+		if (this.retryTimers[slug]) {
+			clearTimeout( this.retryTimers[slug] );
+			delete this.retryTimers[slug];
+		}
+	},
+	
+	loadArticle: function(slug, callback) {
+		// fetch article markdown, parse metadata and add to search index
+		var self = this;
+		var loc = this.get_blog_loc( slug + '.md' );
+		
+		this.get_cached_text( loc, function(err, text) {
+			var article = null;
+			var category = 'fetch';
+			if (!err) {
+				try { article = self.parseArticle(slug, text); }
+				catch (e) { err = e; category = 'invalid'; }
+			}
+			if (err) {
+				self.articleFailed(slug, err, category);
+				return callback(err);
+			}
+			
+			self.articles[slug] = article;
+			self.articleLinks[slug] = self.get_article_links(text);
+			
+			// metadata can change without an updated date (e.g. via webhook), so feeds track this too
+			self.articlesModified = Tools.timeNow(true);
+			
+			self.searchIndex.add({
+				id: 'blog/' + slug,
+				type: 'blog',
+				title: article.title,
+				url: '/blog/' + slug,
+				summary: article.summary,
+				date: article.date,
+				keywords: [ article.summary ].concat( article.tags ).join("\n"),
+				text: self.strip_front_matter(text)
+			});
+			
+			if (self.failedArticles[slug]) {
+				self.logDebug(2, "Blog article recovered: " + slug);
+				delete self.failedArticles[slug];
+			}
+			if (self.retryTimers[slug]) {
+				clearTimeout( self.retryTimers[slug] );
+				delete self.retryTimers[slug];
+			}
+			
+			callback();
+		});
+	},
+	
+	parseArticle: function(slug, text) {
+		// parse and validate article metadata, from yaml front matter or markdown comments
+		// throws with all problems found, so they can be fixed in one pass
+		
+		/* ---
+		title: Process-Level Network Monitoring Using eBPF Kernel Probes
+		summary: My journey attempting to create a process-specific network bandwidth monitor, similar to Nethogs, using built-in Linux tools and libraries.
+		author: jhuckaby (or list of co-authors)
+		date: 2024-01-01 (midnight server time, or ISO 8601 with timezone, e.g. 2024-01-01T09:00:00-08:00)
+		tags: [Networking, Linux, Perl]
+		updated: 2024-02-01 (optional)
+		image: /images/blog/ebpf/social.png (optional, for social cards)
+		status: draft (optional, draft or published, articles dated in the future are scheduled)
+		---
+		
+		Or the original comment format, with comma-separated lists:
+		<!-- Title: Process-Level Network Monitoring Using eBPF Kernel Probes -->
+		<!-- Author: jhuckaby, jsmith -->
+		<!-- Date: 2024/01/01 --> */
+		
+		var self = this;
+		var meta = {};
+		var errors = [];
+		var front = this.get_front_matter(text);
+		
+		if (front) {
+			try { meta = yaml.load( front.yaml, { schema: yaml.CORE_SCHEMA } ); }
+			catch (err) {
+				throw new Error( "Invalid YAML front matter: " + (err.reason || err.message) + (err.mark ? (" (line " + (err.mark.line + 2) + ")") : "") );
+			}
+			if (!Tools.isaHash(meta)) throw new Error("Invalid YAML front matter: Expected key/value pairs");
+		}
+		else {
+			text.replace( /<\!--\s*(\w+):\s*(.+?)\s*-->/g, function(m_all, key, value) {
+				meta[key] = value;
+				return m_all;
+			} );
+		}
+		
+		var body = front ? front.body : text;
+		var article = {
+			slug: slug,
+			words: (body.replace(/<.+?>/g, '').replace(/```[\S\s]+?```/g, '').replace(/\[([^\]]+)\]\(([^\)]+)\)/g, '$1').match(/\w+/g) || []).length
+		};
+		for (var key in meta) article[ key.toLowerCase() ] = meta[key];
+		
+		var is_empty = function(value) {
+			return (value === undefined) || (value === null) || (String(value).trim() === '');
+		};
+		var get_list = function(value) {
+			// yaml list or comma-separated string
+			if (is_empty(value)) return [];
+			return (Tools.isaArray(value) ? value : String(value).split(/\,/)).map( function(item) {
+				return String(item).trim();
+			} ).filter( function(item) { return !!item; } );
+		};
+		
+		['title', 'summary', 'date'].forEach( function(key) {
+			if (is_empty(article[key])) errors.push("Missing required field: " + key);
+			else if (key != 'date') article[key] = String( article[key] ).trim();
+		} );
+		
+		article.authors = get_list( article.authors || article.author );
+		if (!article.authors.length) errors.push("Missing required field: author");
+		article.authors.forEach( function(id) {
+			if (!self.get_author(id)) errors.push("Unknown author: " + id + " (not found in config.authors)");
+		} );
+		article.author = article.authors[0];
+		
+		article.tags = get_list( article.tags );
+		if (!article.tags.length) errors.push("Missing required field: tags");
+		
+		['date', 'updated'].forEach( function(key) {
+			if (is_empty(article[key])) { delete article[key]; return; }
+			var epoch = this.parse_article_date( article[key] );
+			if (isNaN(epoch)) errors.push("Invalid " + key + ": " + article[key] + " (expected YYYY-MM-DD, or ISO 8601 date/time with timezone)");
+			else article[key] = epoch;
+		}, this );
+		
+		article.status = String( article.status || 'published' ).trim().toLowerCase();
+		if (!['draft', 'published'].includes(article.status)) errors.push("Invalid status: " + article.status + " (expected draft or published)");
+		
+		// image is resolved against the article url for social cards, so make sure that works
+		if (is_empty(article.image)) delete article.image;
+		else {
+			article.image = String( article.image ).trim();
+			var image_url = null;
+			try { image_url = new URL( article.image, config.base_url + '/blog/' + slug ); }
+			catch (err) {;}
+			if (!image_url || !image_url.protocol.match(/^https?\:$/)) errors.push("Invalid image: " + article.image + " (expected http(s) URL or path)");
+		}
+		
+		if (errors.length) throw new Error( errors.join('; ') );
+		return article;
+	},
+	
+	parse_article_date: function(value) {
+		// parse article date into epoch seconds, or NaN if invalid
+		// plain dates (YYYY-MM-DD or YYYY/MM/DD) are midnight server time, full timestamps must specify a timezone
+		var str = String(value).trim();
+		
+		if (str.match(/^(\d{4})[\/\-](\d{1,2})[\/\-](\d{1,2})$/)) {
+			var date = new Date( parseInt(RegExp.$1), parseInt(RegExp.$2) - 1, parseInt(RegExp.$3) );
+			return (date.getMonth() == parseInt(RegExp.$2) - 1) ? Math.floor( date.getTime() / 1000 ) : NaN;
+		}
+		if (str.match(/^\d{4}\-\d{2}\-\d{2}[T\s]\d{2}\:\d{2}(\:\d{2}(\.\d+)?)?\s*(Z|[\+\-]\d{2}\:?\d{2})$/i)) {
+			str = str.replace(/\s*(Z|[\+\-]\d{2}\:?\d{2})$/i, '$1').replace(/([\+\-]\d{2})(\d{2})$/, '$1:$2').replace(/^(\S+)\s+/, '$1T');
+			return Math.floor( Date.parse(str) / 1000 );
+		}
+		
+		return NaN;
+	},
+	
+	get_front_matter: function(text) {
+		// split yaml front matter from markdown, returns { yaml, body } or null if not present
+		var matches = text.match(/^\uFEFF?\-\-\-[ \t]*\r?\n([\s\S]*?)\r?\n\-\-\-[ \t]*(\r?\n|$)/);
+		if (!matches) return null;
+		return { yaml: matches[1], body: text.substring( matches[0].length ) };
+	},
+	
+	strip_front_matter: function(text) {
+		// remove yaml front matter (if any) from markdown
+		var front = this.get_front_matter(text);
+		return front ? front.body : text;
+	},
+	
+	articleFailed: function(slug, err, category) {
+		// record article failure and schedule a retry with exponential backoff
+		// category: fetch or invalid (shown in the public status report instead of the error itself)
+		var self = this;
+		var status = this.failedArticles[slug] || { failures: 0 };
+		var delay = Math.min( config.retry.min_delay * Math.pow(2, status.failures), config.retry.max_delay );
+		
+		status.failures++;
+		status.category = category || 'fetch';
+		status.error = err.message || String(err);
+		status.last_attempt = Tools.timeNow(true);
+		status.next_attempt = status.last_attempt + delay;
+		this.failedArticles[slug] = status;
+		
+		this.logDebug(2, "Failed to load blog article: " + slug + ": " + status.error, status);
+		
+		if (this.retryTimers[slug]) clearTimeout( this.retryTimers[slug] );
+		this.retryTimers[slug] = setTimeout( function() {
+			delete self.retryTimers[slug];
+			self.logDebug(4, "Retrying blog article: " + slug);
+			self.loadArticle( slug, function() {} );
+		}, delay * 1000 );
+	},
+	
+	get_article_slugs: function(all) {
+		// get slugs for all live articles, pinned articles first in config order, then discovered articles newest first
+		// pass true to include drafts and scheduled articles (still only successfully loaded ones)
+		var self = this;
+		var slugs = this.articleList.filter( function(slug) {
+			var article = self.articles[slug];
+			return article && (all || (self.get_article_state(article) == 'published'));
+		} );
+		
+		// sort is stable, so pinned articles keep their config order
+		return slugs.sort( function(a, b) {
+			var pin_a = self.pinnedArticles[a] ? 1 : 0;
+			var pin_b = self.pinnedArticles[b] ? 1 : 0;
+			if (pin_a || pin_b) return pin_b - pin_a;
+			return self.articles[b].date - self.articles[a].date;
+		} );
+	},
+	
+	get_article_state: function(article) {
+		// get article state: draft, scheduled (dated in the future) or published
+		// this is evaluated per request, so scheduled articles go live on their date without a reload
+		if (article.status == 'draft') return 'draft';
+		if (article.date > Tools.timeNow()) return 'scheduled';
+		return 'published';
+	},
+	
+	indexPages: function(callback) {
+		// fetch all repo pages and add them to the search index
+		var self = this;
+		var ids = Object.keys(config.pages).filter( function(id) { return !!config.pages[id].org; } );
+		
+		async.eachLimit( ids, 4,
+			function(id, callback) {
+				self.indexPage( id, callback );
 			},
-			callback
+			function() {
+				self.logDebug(4, "Search index complete", { docs: Tools.numKeys(self.searchIndex.docs), terms: Tools.numKeys(self.searchIndex.terms) });
+				if (callback) callback();
+			}
 		);
 	},
 	
+	indexPage: function(id, callback) {
+		// fetch single repo page and add it to the search index (errors are logged, not fatal)
+		var self = this;
+		var page = config.pages[id];
+		var loc = this.get_page_loc( page );
+		this.logDebug(9, "Indexing page: " + id, loc);
+		
+		this.get_cached_text( loc, function(err, text) {
+			if (err) {
+				self.logDebug(3, "Failed to index page: " + id + ": " + err);
+				if (callback) callback();
+				return;
+			}
+			
+			self.searchIndex.add({
+				id: 'view/' + id,
+				type: 'page',
+				title: page.title || id,
+				url: '/view/' + id,
+				icon: page.icon,
+				text: text
+			});
+			
+			self.scanDocLinks(id, text);
+			if (callback) callback();
+		});
+	},
+	
+	scanDocLinks: function(id, text) {
+		// find links to other markdown docs in our repos, and remember them for the sitemap
+		var self = this;
+		var page = config.pages[id];
+		var base_dir = Path.posix.dirname( page.file || 'README.md' );
+		
+		// e.g. https://github.com/jhuckaby/pixl-server-storage/blob/master/docs/Hashes.md
+		text.replace( /\]\(https?\:\/\/github\.com\/([\w\-]+)\/([\w\-]+)\/blob\/[\w\-\.]+\/([^\)\s\#]+\.md)[\)\s\#]/ig, function(m_all, org, repo, path) {
+			self.addKnownDoc( repo.toLowerCase(), path, org );
+			return m_all;
+		} );
+		
+		// e.g. [Hashes](docs/Hashes.md)
+		text.replace( /\]\((?!\w+\:|\/|\#)([^\)\s\#]+\.md)[\)\s\#]/ig, function(m_all, path) {
+			self.addKnownDoc( id, Path.posix.normalize( Path.posix.join(base_dir, path) ) );
+			return m_all;
+		} );
+	},
+	
+	addKnownDoc: function(id, path, org) {
+		// remember doc path for sitemap, but only for our own repos (and not their main readme)
+		var page = config.pages[id];
+		if (!page || !page.org || page.link) return;
+		if (org && (org.toLowerCase() != page.org.toLowerCase())) return;
+		if (path.match(/^\.\.\//) || (path === (page.file || 'README.md'))) return;
+		
+		this.knownDocs[ id + '/' + path ] = 1;
+	},
+	
 	handler: function(args, callback) {
 		// handler for /doc and /blog
-		var uri = args.request.url.replace(/\?.*$/);
+		var self = this;
+		var uri = args.request.url.replace(/\?.*$/, '');
 		
-		if (uri.match(/^\/blog\/(.+?)\/?$/)) {
+		// all html pages get a content security policy, with a fresh nonce for the inline scripts
+		var send = callback;
+		callback = function(status, headers, body) {
+			send( status, headers, self.apply_csp(headers, body) );
+		};
+		
+		if (uri.match(/^\/blog\/tag\/[^\/]+\/feed/)) {
+			// feed for specific tag
+			this.handle_feed(args, callback);
+		}
+		else if (uri.match(/^\/blog\/tag\/([^\/]+)\/?$/)) {
+			// tag archive page
+			this.handle_tag( RegExp.$1, args, callback );
+		}
+		else if (uri.match(/^\/blog\/author\/([\w\-]+)\/?$/)) {
+			// author profile page
+			this.handle_author( RegExp.$1, args, callback );
+		}
+		else if (uri.match(/^\/blog\/archive\/?$/)) {
+			// paginated article archive
+			this.handle_archive(args, callback);
+		}
+		else if (uri.match(/^\/blog\/(.+?)\/?$/)) {
 			// specific blog article by slug
 			this.handle_blog( RegExp.$1, args, callback );
 		}
 		else if (uri.match(/^\/blog\/?$/)) {
 			// latest blog article
-			var slug = config.articles[0];
+			var slug = this.get_article_slugs()[0];
 			this.handle_blog( slug, args, callback );
 		}
 		else if (uri.match(/^\/view\/([\w\-]+)\/?$/)) {
@@ -113,124 +595,1037 @@ module.exports = {
 			// specific markdown file in specific repo
 			this.handle_doc( RegExp.$1, RegExp.$2, args, callback );
 		}
+		else if (uri.match(/^\/sitemap(\-(\d+))?\.xml$/)) {
+			// sitemap or sitemap index
+			this.handle_sitemap( parseInt(RegExp.$2 || 0), args, callback );
+		}
+		else if (uri.match(/^\/webhook\/github\/?$/)) {
+			// github push webhook (cache invalidation)
+			this.handle_webhook(args, callback);
+		}
+		else if (uri.match(/^\/csp\-report\/?$/)) {
+			// browser reports of csp violations
+			this.handle_csp_report(args, callback);
+		}
+		else if (uri.match(/^\/status\.json$/)) {
+			// operator status report
+			this.handle_status(args, callback);
+		}
+		else if (uri.match(/^\/search(\.json)?\/?$/)) {
+			// full-text search (json api or html page)
+			this.handle_search( !!RegExp.$1, args, callback );
+		}
 		else if (uri.match(/^\/feed/)) {
 			// feed
 			this.handle_feed(args, callback);
 		}
-		else {
-			// homepage
-			this.handle_home(args, callback);
+		else {
+			// homepage
+			this.handle_home(args, callback);
+		}
+	},
+	
+	handle_feed: function(args, callback) {
+		// syndication feed, in rss, atom or json format
+		var uri = args.request.url.replace(/\?.*$/, '');
+		
+		var self = this;
+		var feed = {
+			slugs: this.get_article_slugs(),
+			title: config.feed.title,
+			description: config.feed.description,
+			link: config.base_url + '/blog/',
+			path: '/feed'
+		};
+		
+		// stop ai bots from going crazy
+		if (uri.match(/^\/feed\.(rss|atom|json)$/) && feed.slugs.length) {
+			feed.format = RegExp.$1;
+		}
+		else if (uri.match(/^\/blog\/tag\/([^\/]+)\/feed\.(rss|atom|json)$/)) {
+			// tag-specific feed
+			var tag_id = RegExp.$1.toLowerCase();
+			feed.format = RegExp.$2;
+			feed.slugs = this.get_tag_slugs(tag_id);
+			if (!feed.slugs.length) {
+				return callback( "404 Not Found", { 'Cache-Control': 'public, max-age=' + config.ttl }, "404 Not Found" );
+			}
+			
+			var tag = this.get_tag_title(tag_id);
+			feed.title += ': ' + tag;
+			feed.description = `Articles tagged "${tag}" on PixlCore.com.`;
+			feed.link = config.base_url + '/blog/tag/' + tag_id;
+			feed.path = '/blog/tag/' + tag_id + '/feed';
+		}
+		else {
+			return callback( "404 Not Found", { 'Cache-Control': 'public, max-age=' + config.ttl }, "404 Not Found" );
+		}
+		
+		var full = config.feed.full_content;
+		if (args.query.full) full = !!args.query.full.toString().match(/^(1|true|yes)$/i);
+		
+		if (!full) return this['handle_feed_' + feed.format](args, feed, callback);
+		
+		this.get_feed_contents( feed.slugs, function(contents) {
+			feed.contents = contents;
+			self['handle_feed_' + feed.format](args, feed, callback);
+		} );
+	},
+	
+	get_feed_contents: function(slugs, callback) {
+		// load rendered html for articles, with absolute urls, for full-content feeds
+		var self = this;
+		var contents = {};
+		
+		async.eachLimit( slugs, 8,
+			function(slug, callback) {
+				var loc = self.get_blog_loc( slug + '.md' );
+				
+				self.get_cached_html( loc, function(err, html) {
+					if (err) {
+						// fallback to summary for this article
+						self.logDebug(3, "Failed to load article content for feed: " + slug + ": " + err);
+						return callback();
+					}
+					contents[slug] = self.get_absolute_html( html, config.base_url + '/blog/' + slug );
+					callback();
+				} );
+			},
+			function() {
+				callback(contents);
+			}
+		);
+	},
+	
+	handle_feed_rss: function(args, feed_info, callback) {
+		// rss 2.0 feed, optionally with full article contents
+		var self = this;
+		var contents = feed_info.contents;
+		var latest_slug = feed_info.slugs[0];
+		var latest_epoch = this.articles[latest_slug].date;
+		var base_url = config.base_url;
+		var year = (new Date()).getFullYear();
+		
+		var feed = {
+			_Attribs: { version: "2.0" },
+			channel: {
+				title: feed_info.title,
+				description: feed_info.description,
+				link: feed_info.link,
+				category: { _Attribs: { domain: "pixlcore.com" }, _Data: "Computers/Software/Internet/Site Management/Content Management" },
+				copyright: `Copyright ${year} PixlCore.com`,
+				language: "en-us",
+				lastBuildDate: this.get_rss_date(latest_epoch),
+				generator: 'PixlCore RSS Generator v1.0',
+				ttl: 60,
+				image: {
+					url: base_url + '/images/favicon-32x32.png',
+					title: 'PixlCore.com',
+					link: base_url + '/',
+					width: 32,
+					height: 32
+				},
+				item: []
+			}
+		};
+		
+		feed_info.slugs.forEach( function(slug) {
+			var article = self.articles[slug];
+			
+			var item = {
+				title: article.title,
+				link: base_url + '/blog/' + slug,
+				guid: base_url + '/blog/' + slug,
+				description: article.summary,
+				pubDate: self.get_rss_date(article.date),
+				category: article.tags
+			};
+			if (contents && contents[slug]) item['content:encoded'] = contents[slug];
+			
+			feed.channel.item.push(item);
+		});
+		
+		if (contents) feed._Attribs['xmlns:content'] = "http://purl.org/rss/1.0/modules/content/";
+		
+		var parser = new XML.Parser( '<rss/>', { preserveAttributes: true } );
+		parser.tree = feed;
+		parser.piNodeList = [ '?xml version="1.0" encoding="UTF-8"?' ];
+		
+		this.send_cacheable( args, {
+			'Content-Type': "text/xml",
+			'Cache-Control': 'public, max-age=' + config.ttl
+		}, parser.compose(), this.get_feed_modified(feed_info), callback );
+	},
+	
+	handle_feed_atom: function(args, feed_info, callback) {
+		// atom 1.0 feed, optionally with full article contents
+		var self = this;
+		var contents = feed_info.contents;
+		var base_url = config.base_url;
+		var year = (new Date()).getFullYear();
+		
+		var feed = {
+			_Attribs: { xmlns: "http://www.w3.org/2005/Atom", "xml:lang": "en-us" },
+			id: feed_info.link,
+			title: feed_info.title,
+			subtitle: feed_info.description,
+			link: [
+				{ _Attribs: { rel: "self", type: "application/atom+xml", href: base_url + feed_info.path + '.atom' } },
+				{ _Attribs: { rel: "alternate", type: "text/html", href: feed_info.link } }
+			],
+			updated: this.get_atom_date( this.get_feed_updated(feed_info.slugs) ),
+			rights: `Copyright ${year} PixlCore.com`,
+			generator: { _Attribs: { uri: base_url + '/' }, _Data: 'PixlCore Atom Generator v1.0' },
+			icon: base_url + '/images/favicon-32x32.png',
+			logo: base_url + '/images/logo-256.png',
+			entry: []
+		};
+		
+		feed_info.slugs.forEach( function(slug) {
+			var article = self.articles[slug];
+			
+			var entry = {
+				id: base_url + '/blog/' + slug,
+				title: article.title,
+				link: { _Attribs: { rel: "alternate", type: "text/html", href: base_url + '/blog/' + slug } },
+				published: self.get_atom_date(article.date),
+				updated: self.get_atom_date(article.updated || article.date),
+				author: article.authors.map( function(id) {
+					var author = self.get_feed_author(id);
+					return author.url ? { name: author.name, uri: author.url } : { name: author.name };
+				} ),
+				summary: article.summary,
+				category: article.tags.map( function(tag) { return { _Attribs: { term: tag } }; } )
+			};
+			if (contents && contents[slug]) entry.content = { _Attribs: { type: "html" }, _Data: contents[slug] };
+			
+			feed.entry.push(entry);
+		});
+		
+		var parser = new XML.Parser( '<feed/>', { preserveAttributes: true } );
+		parser.tree = feed;
+		parser.piNodeList = [ '?xml version="1.0" encoding="UTF-8"?' ];
+		
+		this.send_cacheable( args, {
+			'Content-Type': "application/atom+xml",
+			'Cache-Control': 'public, max-age=' + config.ttl
+		}, parser.compose(), this.get_feed_modified(feed_info), callback );
+	},
+	
+	handle_feed_json: function(args, feed_info, callback) {
+		// json feed 1.1, optionally with full article contents
+		var self = this;
+		var contents = feed_info.contents;
+		var base_url = config.base_url;
+		
+		var feed = {
+			version: "https://jsonfeed.org/version/1.1",
+			title: feed_info.title,
+			description: feed_info.description,
+			home_page_url: feed_info.link,
+			feed_url: base_url + feed_info.path + '.json',
+			icon: base_url + '/images/logo-256.png',
+			favicon: base_url + '/images/favicon-32x32.png',
+			language: "en-US",
+			authors: Object.keys(config.authors).map( function(id) { return self.get_feed_author(id); } ),
+			items: []
+		};
+		
+		feed_info.slugs.forEach( function(slug) {
+			var article = self.articles[slug];
+			var item = {
+				id: base_url + '/blog/' + slug,
+				url: base_url + '/blog/' + slug,
+				title: article.title,
+				summary: article.summary,
+				date_published: self.get_atom_date(article.date),
+				date_modified: self.get_atom_date(article.updated || article.date),
+				authors: article.authors.map( function(id) { return self.get_feed_author(id); } ),
+				tags: article.tags
+			};
+			if (contents && contents[slug]) item.content_html = contents[slug];
+			else item.content_text = article.summary;
+			
+			feed.items.push(item);
+		});
+		
+		this.send_cacheable( args, {
+			'Content-Type': "application/feed+json",
+			'Cache-Control': 'public, max-age=' + config.ttl
+		}, JSON.stringify(feed, null, "\t"), this.get_feed_modified(feed_info), callback );
+	},
+	
+	get_feed_author: function(id) {
+		// get author object for feed, from config
+		var author = this.get_author(id);
+		if (!author) return { name: id };
+		
+		var obj = { name: author.name, url: config.base_url + '/blog/author/' + id };
+		if (author.avatar) obj.avatar = author.avatar.match(/^\w+\:\/\//) ? author.avatar : (config.base_url + author.avatar);
+		
+		return obj;
+	},
+	
+	get_feed_modified: function(feed_info) {
+		// get last-modified epoch for feed: newest article date, or when article metadata last changed, whichever is later
+		// full-content feeds also change whenever an article body does, so they rely on the etag alone
+		if (feed_info.contents) return 0;
+		return Math.max( this.get_feed_updated(feed_info.slugs), this.articlesModified );
+	},
+	
+	get_feed_updated: function(slugs) {
+		// get latest publish or update date across specified articles
+		var self = this;
+		var epoch = 0;
+		
+		slugs.forEach( function(slug) {
+			var article = self.articles[slug];
+			epoch = Math.max( epoch, article.updated || article.date );
+		});
+		
+		return epoch;
+	},
+	
+	handle_sitemap: function(num, args, callback) {
+		// generate sitemap for search engines, split into multiple files with an index if needed
+		var base_url = config.base_url;
+		var urls = this.get_sitemap_urls();
+		var max_urls = config.sitemap.max_urls;
+		var num_maps = Math.ceil( urls.length / max_urls );
+		var tree = null;
+		var root = '';
+		
+		if (!num && (num_maps > 1)) {
+			// sitemap index
+			var lastmod = this.get_atom_date( this.get_feed_updated( this.get_article_slugs() ) ).substring(0, 10);
+			root = 'sitemapindex';
+			tree = {
+				_Attribs: { xmlns: "http://www.sitemaps.org/schemas/sitemap/0.9" },
+				sitemap: []
+			};
+			for (var idx = 1; idx <= num_maps; idx++) {
+				tree.sitemap.push({ loc: base_url + '/sitemap-' + idx + '.xml', lastmod: lastmod });
+			}
+		}
+		else {
+			if (num > num_maps) return callback( "404 Not Found", { 'Cache-Control': 'public, max-age=' + config.ttl }, "404 Not Found" );
+			if (num) urls = urls.slice( (num - 1) * max_urls, num * max_urls );
+			
+			root = 'urlset';
+			tree = {
+				_Attribs: { xmlns: "http://www.sitemaps.org/schemas/sitemap/0.9" },
+				url: urls
+			};
+		}
+		
+		var parser = new XML.Parser( '<' + root + '/>', { preserveAttributes: true } );
+		parser.tree = tree;
+		parser.piNodeList = [ '?xml version="1.0" encoding="UTF-8"?' ];
+		
+		callback( "200 OK", {
+			'Content-Type': "application/xml",
+			'Cache-Control': 'public, max-age=' + config.ttl
+		}, parser.compose() );
+	},
+	
+	get_sitemap_urls: function() {
+		// get list of all urls for sitemap: blog, tags, authors, pages and known docs
+		var self = this;
+		var base_url = config.base_url;
+		var urls = [];
+		var get_lastmod = function(epoch) { return self.get_atom_date(epoch).substring(0, 10); };
+		
+		urls.push({ loc: base_url + '/blog/', lastmod: get_lastmod( this.get_feed_updated( this.get_article_slugs() ) ) });
+		urls.push({ loc: base_url + '/blog/archive', lastmod: get_lastmod( this.get_feed_updated( this.get_article_slugs() ) ) });
+		
+		this.get_article_slugs().forEach( function(slug) {
+			var article = self.articles[slug];
+			urls.push({ loc: base_url + '/blog/' + slug, lastmod: get_lastmod( article.updated || article.date ) });
+		} );
+		
+		this.get_tag_list().forEach( function(tag) {
+			urls.push({ loc: base_url + '/blog/tag/' + tag.id, lastmod: get_lastmod( self.get_feed_updated( self.get_tag_slugs(tag.id) ) ) });
+		} );
+		
+		Object.keys(config.authors).forEach( function(id) {
+			urls.push({ loc: base_url + '/blog/author/' + id });
+		} );
+		
+		Object.keys(config.pages).forEach( function(id) {
+			if (config.pages[id].org) urls.push({ loc: base_url + '/view/' + id });
+		} );
+		
+		Object.keys(this.knownDocs).sort().forEach( function(key) {
+			urls.push({ loc: base_url + '/doc/' + key.split('/').map( encodeURIComponent ).join('/') });
+		} );
+		
+		return urls;
+	},
+	
+	handle_author: function(id, args, callback) {
+		// show author profile page with bio and articles
+		var self = this;
+		var author = this.get_author(id);
+		if (!author) return callback( "404 Not Found", {}, "Unable to locate the requested author: " + id );
+		
+		var slugs = this.get_article_slugs().filter( function(slug) {
+			return self.articles[slug].authors.includes(id);
+		} );
+		
+		var send_page = function(bio) {
+			var data = {
+				pages: config.pages,
+				authors: config.authors,
+				sidebar: config.sidebar,
+				author_id: id,
+				bio: bio,
+				articles: slugs.map( function(slug) { return self.articles[slug]; } ),
+				page: 'author'
+			};
+			
+			var contents = self.render_html( data, Render.author(data), {
+				title: author.name,
+				description: bio ? self.get_html_summary(bio) : ('Articles by ' + author.name + ' on ' + config.feed.title + '.'),
+				url: config.base_url + '/blog/author/' + id
+			} );
+			
+			self.send_cacheable( args, {
+				'Content-Type': "text/html",
+				'Cache-Control': 'public, max-age=' + config.ttl
+			}, contents, 0, callback );
+		};
+		
+		if (!author.bio) return send_page('');
+		
+		// bio is a markdown file in the blog repo
+		var loc = this.get_blog_loc( author.bio );
+		
+		this.get_cached_html( loc, function(err, html) {
+			if (err) self.logDebug(3, "Failed to load author bio: " + id + ": " + err);
+			send_page( html || '' );
+		} );
+	},
+	
+	handle_tag: function(tag_id, args, callback) {
+		// show all articles matching tag
+		var self = this;
+		var slugs = this.get_tag_slugs(tag_id);
+		if (!slugs.length) return callback( "404 Not Found", {}, "Unable to locate the requested tag: " + tag_id );
+		
+		var data = {
+			pages: config.pages,
+			authors: config.authors,
+			sidebar: config.sidebar,
+			tag: this.get_tag_title(tag_id),
+			tag_id: tag_id.toLowerCase(),
+			tags: this.get_tag_list(),
+			articles: slugs.map( function(slug) { return self.articles[slug]; } ),
+			page: 'tag'
+		};
+		
+		var contents = this.render_html( data, Render.tag(data), {
+			title: 'Articles Tagged "' + data.tag + '"',
+			description: 'All articles tagged "' + data.tag + '" on ' + config.feed.title + '.',
+			url: config.base_url + '/blog/tag/' + data.tag_id
+		} );
+		
+		this.send_cacheable( args, {
+			'Content-Type': "text/html",
+			'Cache-Control': 'public, max-age=' + config.ttl
+		}, contents, 0, callback );
+	},
+	
+	handle_archive: function(args, callback) {
+		// show paginated list of all articles, optionally filtered by tag and/or author
+		var self = this;
+		var tag_id = (args.query.tag || '').toString().toLowerCase();
+		var author_id = (args.query.author || '').toString();
+		var offset = Math.max( 0, parseInt(args.query.offset || 0) || 0 );
+		var limit = config.archive.per_page;
+		var slugs = tag_id ? this.get_tag_slugs(tag_id) : this.get_article_slugs();
+		
+		if (tag_id && !slugs.length) return callback( "404 Not Found", {}, "Unable to locate the requested tag: " + tag_id );
+		if (author_id && !this.get_author(author_id)) return callback( "404 Not Found", {}, "Unable to locate the requested author: " + author_id );
+		
+		if (author_id) slugs = slugs.filter( function(slug) {
+			return self.articles[slug].authors.includes(author_id);
+		} );
+		
+		// snap offset to page boundary, and don't serve empty pages past the end
+		offset -= offset % limit;
+		if (offset && (offset >= slugs.length)) return callback( "404 Not Found", {}, "Unable to locate the requested archive page." );
+		
+		var data = {
+			pages: config.pages,
+			authors: config.authors,
+			sidebar: config.sidebar,
+			tags: this.get_tag_list(),
+			tag: tag_id ? this.get_tag_title(tag_id) : '',
+			tag_id: tag_id,
+			author_id: author_id,
+			offset: offset,
+			limit: limit,
+			total: slugs.length,
+			articles: slugs.slice( offset, offset + limit ).map( function(slug) { return self.get_archive_entry(slug); } ),
+			page: 'archive'
+		};
+		
+		var ssr = Render.archive(data);
+		var head = {
+			title: ssr.title,
+			description: 'All articles from ' + config.feed.title + '.',
+			url: config.base_url + Render.getArchiveURL(data)
+		};
+		
+		// tag counts cover all articles, so the page changes whenever any article does (no last-modified, only etag)
+		var contents = this.render_html( data, ssr, head );
+		this.send_cacheable( args, {
+			'Content-Type': "text/html",
+			'Cache-Control': 'public, max-age=' + config.ttl
+		}, contents, 0, callback );
+	},
+	
+	get_archive_entry: function(slug) {
+		// get compact article metadata for archive listings
+		var article = this.articles[slug];
+		return { slug: slug, title: article.title, date: article.date };
+	},
+	
+	get_article_neighbors: function(slug) {
+		// get a few articles surrounding the given one (including itself), in list order
+		var self = this;
+		var slugs = this.get_article_slugs();
+		var count = config.archive.neighbors;
+		var idx = Math.max( 0, slugs.indexOf(slug) );
+		var start = Math.max( 0, Math.min( idx - Math.floor(count / 2), slugs.length - count ) );
+		
+		return slugs.slice( start, start + count ).map( function(slug) { return self.articles[slug]; } );
+	},
+	
+	get_article_links: function(text) {
+		// get unique repo pages linked from article markdown (github urls, /view/ and /doc/ links), as page ids
+		// github repos without a page are included as lower-case org/repo
+		var repos = {};
+		var links = {};
+		var site_regexp = new RegExp( '\\]\\((?:' + Tools.escapeRegExp(config.base_url) + ')?\\/(?:view|doc)\\/([\\w\\-]+)', 'g' );
+		
+		// map github repos to pages, using the explicit link for pages hosted in another repo
+		for (var id in config.pages) {
+			var page = config.pages[id];
+			if (page.link && page.link.match(/github\.com\/([\w\-\.]+)\/([\w\-\.]+)/)) repos[ (RegExp.$1 + '/' + RegExp.$2).toLowerCase() ] = id;
+			else if (page.org && !page.file) repos[ (page.org + '/' + page.repo).toLowerCase() ] = id;
+		}
+		
+		text.replace( /github\.com\/([\w\-\.]+)\/([\w\-\.]+)/g, function(m_all, org, repo) {
+			var key = (org + '/' + repo.replace(/\.git$/, '')).toLowerCase();
+			links[ repos[key] || key ] = 1;
+			return m_all;
+		} );
+		
+		text.replace( site_regexp, function(m_all, id) {
+			if (config.pages[id]) links[id] = 1;
+			return m_all;
+		} );
+		
+		return Object.keys(links);
+	},
+	
+	get_related_articles: function(slug) {
+		// get most related live articles for article, scored by shared tags, shared repo links and term similarity
+		var self = this;
+		
+		// scores depend on all articles and on term frequencies across the whole search index (repo pages too),
+		// so recompute them on demand whenever the index changes
+		if (this.relatedVersion !== this.searchIndex.version) {
+			this.relatedScores = {};
+			this.relatedVersion = this.searchIndex.version;
+		}
+		if (!this.relatedScores[slug]) this.relatedScores[slug] = this.score_related_articles(slug);
+		
+		return this.relatedScores[slug].filter( function(item) {
+			var article = self.articles[ item.slug ];
+			return article && (self.get_article_state(article) == 'published');
+		} ).slice( 0, config.related.max ).map( function(item) { return self.articles[ item.slug ]; } );
+	},
+	
+	score_related_articles: function(slug) {
+		// score all other loaded articles against one, returns [{ slug, score }] sorted best first
+		// each factor is from 0 to 1, and they are combined using the weights in config.related
+		var self = this;
+		var weights = config.related.weights;
+		var get_tag_ids = function(article) {
+			return article.tags.map( function(tag) { return self.get_tag_id(tag); } );
+		};
+		
+		var tags = get_tag_ids( this.articles[slug] );
+		var links = this.articleLinks[slug] || [];
+		var vector = this.searchIndex.getVector( 'blog/' + slug );
+		var results = [];
+		
+		for (var other_slug in this.articles) {
+			if (other_slug == slug) continue;
+			
+			var score = (weights.tags * this.get_overlap( tags, get_tag_ids(this.articles[other_slug]) )) + 
+				(weights.links * this.get_overlap( links, this.articleLinks[other_slug] || [] )) + 
+				(weights.terms * this.searchIndex.getSimilarity( vector, this.searchIndex.getVector('blog/' + other_slug) ));
+			
+			if (score >= config.related.min_score) results.push({ slug: other_slug, score: score });
+		}
+		
+		return results.sort( function(a, b) {
+			return (b.score - a.score) || (self.articles[b.slug].date - self.articles[a.slug].date);
+		} );
+	},
+	
+	get_overlap: function(list_a, list_b) {
+		// jaccard similarity of two lists, from 0 (nothing shared) to 1 (identical)
+		if (!list_a.length || !list_b.length) return 0;
+		
+		var shared = list_a.filter( function(item) { return list_b.includes(item); } ).length;
+		return shared / (list_a.length + list_b.length - shared);
+	},
+	
+	get_tag_id: function(tag) {
+		// convert tag title to url-safe id, e.g. "Dev Update" --> "dev-update"
+		return tag.toLowerCase().replace(/\W+/g, '-').replace(/^\-+|\-+$/g, '');
+	},
+	
+	get_tag_slugs: function(tag_id) {
+		// get all article slugs matching tag id, in order
+		var self = this;
+		tag_id = tag_id.toLowerCase();
+		
+		return this.get_article_slugs().filter( function(slug) {
+			return self.articles[slug].tags.some( function(tag) { return self.get_tag_id(tag) === tag_id; } );
+		} );
+	},
+	
+	get_author: function(id) {
+		// get author from config, ignoring inherited object keys (e.g. "constructor")
+		return Object.prototype.hasOwnProperty.call(config.authors, id) ? config.authors[id] : null;
+	},
+	
+	get_tag_title: function(tag_id) {
+		// get display title for tag, as written in the first article that uses it
+		var tag = Tools.findObject( this.get_tag_list(), { id: tag_id.toLowerCase() } );
+		return tag ? tag.title : tag_id;
+	},
+	
+	get_tag_list: function() {
+		// get list of all tags across all articles, with counts, sorted by popularity
+		var self = this;
+		var tags = {};
+		
+		this.get_article_slugs().forEach( function(slug) {
+			self.articles[slug].tags.forEach( function(title) {
+				var id = self.get_tag_id(title);
+				if (!tags[id]) tags[id] = { id, title, count: 0 };
+				tags[id].count++;
+			} );
+		} );
+		
+		return Object.values(tags).sort( function(a, b) {
+			return (b.count - a.count) || a.title.localeCompare(b.title);
+		} );
+	},
+	
+	handle_search: function(json, args, callback) {
+		// search articles and repo docs
+		var query = (args.query.q || '').toString().trim().substring(0, 256);
+		var offset = Math.max( 0, parseInt(args.query.offset || 0) || 0 );
+		var limit = Tools.clamp( parseInt(args.query.limit || 25) || 25, 1, 100 );
+		var type = args.query.type || '';
+		
+		var self = this;
+		var filter = function(entry) {
+			// exclude drafts and scheduled articles
+			var article = (entry.type == 'blog') ? self.articles[ entry.id.replace(/^blog\//, '') ] : null;
+			return !article || (self.get_article_state(article) == 'published');
+		};
+		
+		var results = this.searchIndex.search( query, { offset, limit, type, filter } );
+		this.logDebug(6, "Search: " + query, { total: results.total });
+		
+		if (json) {
+			return this.send_cacheable( args, {
+				'Content-Type': "application/json",
+				'Cache-Control': 'public, max-age=' + config.ttl
+			}, JSON.stringify({ code: 0, query, offset, limit, total: results.total, results: results.results }), 0, callback );
+		}
+		
+		var contents = this.render_html({
+			pages: config.pages,
+			sidebar: config.sidebar,
+			query: query,
+			offset: offset,
+			limit: limit,
+			total: results.total,
+			results: results.results,
+			page: 'search'
+		});
+		
+		this.send_cacheable( args, {
+			'Content-Type': "text/html",
+			'Cache-Control': 'public, max-age=' + config.ttl
+		}, contents, 0, callback );
+	},
+	
+	handle_webhook: function(args, callback) {
+		// github push webhook: purge cache for changed files and reload affected articles
+		var self = this;
+		var headers = args.request.headers;
+		var event = headers['x-github-event'] || '';
+		var secret = process.env.PIXLCORE_WEBHOOK_SECRET || config.webhook.secret;
+		var json_headers = { 'Content-Type': "application/json", 'Cache-Control': 'no-store' };
+		
+		if (args.request.method != 'POST') return callback( "405 Method Not Allowed", { 'Allow': 'POST' }, "Webhook requires a POST request." );
+		if (!secret) return callback( "403 Forbidden", {}, "Webhook is not configured." );
+		
+		// the signature only matches the exact bytes github sent, so a json body parsed by the web server can't be verified
+		// form-encoded bodies are parsed too, but we can rebuild their exact bytes from the payload field
+		var bodies = this.get_webhook_bodies(args);
+		if (!bodies.length) {
+			this.logDebug(2, "Webhook body was parsed by the web server, cannot verify signature (see README)", { event: event, ip: args.ip });
+			return callback( "400 Bad Request", {}, "Webhook requires a form-encoded or raw request body." );
+		}
+		
+		var raw = bodies.find( function(body) { return self.verify_webhook_signature(body, headers['x-hub-signature-256'], secret); } );
+		if (!raw) {
+			this.logDebug(3, "Webhook signature mismatch", { event: event, ip: args.ip });
+			return callback( "403 Forbidden", {}, "Invalid webhook signature." );
+		}
+		
+		if (event == 'ping') {
+			return callback( "200 OK", json_headers, JSON.stringify({ code: 0, description: "Pong" }) );
+		}
+		if (event != 'push') {
+			return callback( "200 OK", json_headers, JSON.stringify({ code: 0, description: "Ignoring event: " + event }) );
+		}
+		
+		var push = null;
+		try { push = JSON.parse( this.get_raw_body(args) ? raw.toString() : args.params.payload ); }
+		catch (err) {
+			return callback( "400 Bad Request", {}, "Invalid webhook payload: " + err.message );
+		}
+		
+		var repo = push.repository || {};
+		var files = {};
+		
+		(push.commits || []).concat( push.head_commit || [] ).forEach( function(commit) {
+			[].concat( commit.added || [], commit.modified || [], commit.removed || [] ).forEach( function(file) {
+				files[file] = 1;
+			} );
+		} );
+		
+		var info = {
+			org: ((repo.owner && (repo.owner.login || repo.owner.name)) || '').toLowerCase(),
+			repo: (repo.name || '').toLowerCase(),
+			branch: (push.ref || '').replace(/^refs\/heads\//, ''),
+			files: Object.keys(files)
+		};
+		
+		var result = this.apply_push( info, false );
+		this.logDebug(4, "Webhook push received", result);
+		callback( "200 OK", json_headers, JSON.stringify(result) );
+		
+		// other pool workers have their own memory caches and articles, so let them know too
+		if (this.eventLog) this.eventLog.publish( { type: 'push', push: info }, function(err) {
+			if (err) self.logDebug(2, "Failed to share webhook push with other workers: " + err);
+		} );
+	},
+	
+	apply_push: function(info, shared) {
+		// purge caches for files changed by a push: { org, repo, branch, files }, and reload affected articles in the background
+		// shared pushes were received by another worker, which already marked the disk cache stale
+		var self = this;
+		var files = info.files;
+		
+		var matches = function(loc) {
+			return (loc.org.toLowerCase() == info.org) && (loc.repo.toLowerCase() == info.repo) && (loc.branch == info.branch);
+		};
+		var result = { code: 0, repo: info.org + '/' + info.repo, branch: info.branch, files: files.length, purged: 0, articles: [], pages: [], discover: false };
+		
+		// blog articles and author bios
+		if (matches(config.blog)) files.forEach( function(file) {
+			result.purged += self.purge_cache( self.get_blog_loc(file), shared );
+			
+			var slug = file.replace(/\.md$/, '');
+			if ((slug != file) && self.articleList.includes(slug)) result.articles.push(slug);
+			
+			// any change to the blog repo may add or remove articles
+			if (config.discover.mode) result.discover = true;
+		} );
+		
+		// repo pages and their docs
+		Object.keys(config.pages).forEach( function(id) {
+			var page = config.pages[id];
+			if (!page.org || !matches(page)) return;
+			
+			files.forEach( function(file) {
+				result.purged += self.purge_cache( self.get_page_loc( Tools.mergeHashes(page, { file: file }) ), shared );
+				if (file === (page.file || 'README.md')) result.pages.push(id);
+			} );
+		} );
+		
+		// reload changed articles and reindex pages in the background
+		async.eachSeries( result.articles,
+			function(slug, callback) {
+				self.loadArticle( slug, function(err) {
+					if (err) self.logDebug(3, "Failed to reload article: " + slug + ": " + err);
+					callback();
+				} );
+			},
+			function() {
+				if (result.discover) self.refreshArticleList( function() {} );
+				result.pages.forEach( function(id) { self.indexPage(id); } );
+			}
+		);
+		
+		return result;
+	},
+	
+	pollEvents: function() {
+		// apply webhook pushes received by other pool workers
+		var self = this;
+		
+		this.eventLog.poll( function(err, events) {
+			if (err) self.logDebug(3, "Failed to read shared events: " + err);
+			
+			events.forEach( function(event) {
+				if (!event.data || (event.data.type != 'push')) return;
+				var result = self.apply_push( event.data.push, true );
+				self.logDebug(4, "Webhook push received by another worker", result);
+			} );
+		} );
+	},
+	
+	get_webhook_bodies: function(args) {
+		// get possible raw bodies of webhook request, for signature verification
+		// github can send the payload form-encoded, which the web server parses, but the encoding is strict enough to rebuild:
+		// payload=..., spaces as +, and everything except letters, digits and -_. percent-encoded
+		// (encoders differ on * and ~, so we try both ways, which is safe as all candidates decode to the same payload)
+		var raw = this.get_raw_body(args);
+		if (raw) return [ raw ];
+		if (typeof(args.params.payload) != 'string') return [];
+		
+		var encoded = encodeURIComponent( args.params.payload ).replace( /[!'()]/g, function(chr) {
+			return '%' + chr.charCodeAt(0).toString(16).toUpperCase();
+		} ).replace(/%20/g, '+');
+		
+		return [ encoded.replace(/~/g, '%7E'), encoded.replace(/\*/g, '%2A') ].map( function(body) {
+			return Buffer.from( 'payload=' + body );
+		} );
+	},
+	
+	get_raw_body: function(args) {
+		// get raw request body (for webhook signature verification and csp reports)
+		// returns null if the web server already parsed the body (i.e. json and form content types)
+		var raw = args.params.raw;
+		
+		// buffers are serialized as plain objects when passed to pool workers
+		if (raw && (raw.type == 'Buffer') && raw.data) raw = Buffer.from(raw.data);
+		if (raw) return Buffer.isBuffer(raw) ? raw : Buffer.from( String(raw) );
+		
+		return null;
+	},
+	
+	verify_webhook_signature: function(raw, signature, secret) {
+		// check x-hub-signature-256 header against hmac of raw body, using constant-time comparison
+		if (!signature || !String(signature).match(/^sha256=[0-9a-f]{64}$/i)) return false;
+		
+		var expected = Buffer.from( 'sha256=' + crypto.createHmac('sha256', secret).update(raw).digest('hex') );
+		var actual = Buffer.from( String(signature).toLowerCase() );
+		return crypto.timingSafeEqual( expected, actual );
+	},
+	
+	handle_csp_report: function(args, callback) {
+		// log content security policy violations sent by browsers
+		// accepts both the report-uri format { "csp-report": {...} } and reporting api arrays [{ type, body }]
+		var self = this;
+		if (args.request.method != 'POST') return callback( "405 Method Not Allowed", { 'Allow': 'POST' }, "CSP reports require a POST request." );
+		
+		var reports = null;
+		try {
+			var raw = this.get_raw_body(args);
+			reports = [].concat( raw ? JSON.parse( raw.toString() ) : args.params ).map( function(item) {
+				return item && (item['csp-report'] || item.body);
+			} );
+		}
+		catch (err) {
+			return callback( "400 Bad Request", {}, "Invalid CSP report: " + err.message );
 		}
+		
+		reports.slice(0, 10).forEach( function(report) {
+			if (!report || (typeof(report) != 'object')) return;
+			
+			var info = {
+				document: report['document-uri'] || report.documentURL,
+				directive: report['effective-directive'] || report['violated-directive'] || report.effectiveDirective,
+				blocked: report['blocked-uri'] || report.blockedURL,
+				source: report['source-file'] || report.sourceFile,
+				line: report['line-number'] || report.lineNumber,
+				sample: report['script-sample'] || report.sample
+			};
+			for (var key in info) info[key] = String(info[key] || '').substring(0, 256);
+			
+			self.logDebug(3, "CSP violation: " + info.directive + " blocked " + (info.blocked || 'unknown') + " on " + info.document, info);
+		} );
+		
+		callback( "204 No Content", { 'Cache-Control': 'no-store' }, '' );
 	},
 	
-	handle_feed: function(args, callback) {
-		// rss feed
+	apply_csp: function(headers, body) {
+		// add csp header to html response, and fill in the nonce for our inline scripts (marked in index.html)
+		// this runs after the etag is computed, so pages stay cacheable in the browser, but they are marked private,
+		// so a cdn or shared proxy never replays one visitor's nonce to everyone else
+		var placeholder = / nonce="\[nonce\]"/g;
+		if (!(headers['Content-Type'] || '').match(/html/) || (typeof(body) != 'string')) return body;
+		if (!config.csp.enabled) return body.replace(placeholder, '');
+		
+		var nonce = crypto.randomBytes(16).toString('base64');
+		var policy = Tools.copyHash( config.csp.policy );
+		policy['script-src'] = ((policy['script-src'] || '') + " 'nonce-" + nonce + "'").trim();
+		if (config.csp.report_uri) policy['report-uri'] = config.csp.report_uri;
+		
+		var name = config.csp.report_only ? 'Content-Security-Policy-Report-Only' : 'Content-Security-Policy';
+		headers[name] = Object.keys(policy).map( function(key) { return key + ' ' + policy[key]; } ).join('; ');
+		headers['Cache-Control'] = headers['Cache-Control'] ? headers['Cache-Control'].replace(/\bpublic\b/, 'private') : 'private, no-cache';
+		
+		return body.replace(placeholder, ' nonce="' + nonce + '"');
+	},
+	
+	purge_cache: function(loc, memory_only) {
+		// remove raw and rendered content for location from memory cache, across all sources
+		// disk copies are only marked stale (unless memory_only), so they are still served if upstream is down
+		// (rendered html on disk is tied to the hash of its text, so it never outlives a content change)
 		var self = this;
-		var latest_slug = config.articles[0];
-		var latest_epoch = this.articles[latest_slug].date;
-		var base_url = 'https://pixlcore.com';
-		var year = (new Date()).getFullYear();
+		var count = 0;
 		
-		// stop ai bots from going crazy
-		if (args.request.url.replace(/\?.*$/, '').match(/feed\.rss\S+/)) {
-			return callback( "404 Not Found", { 'Cache-Control': 'public, max-age=' + config.ttl }, "404 Not Found" );
+		for (var id in this.sources) {
+			var cache_id = this.sources[id].getID(loc);
+			if (this.cache.delete(cache_id)) count++;
+			
+			// all rendered variants (blog article and page, trusted or not)
+			this.get_html_cache_ids(cache_id).forEach( function(html_id) {
+				if (self.cache.delete(html_id)) count++;
+			} );
+			
+			if (this.diskCache && !memory_only) {
+				try { this.diskCache.expire( cache_id ); }
+				catch (err) { this.logDebug(3, "Failed to expire disk cache: " + cache_id + ": " + err); }
+			}
 		}
 		
-		var feed = {
-			_Attribs: { version: "2.0" },
-			channel: {
-				title: "The PixlCore Blog",
-				description: "Articles originally posted at PixlCore.com.",
-				link: base_url + '/blog/',
-				category: { _Attribs: { domain: "pixlcore.com" }, _Data: "Computers/Software/Internet/Site Management/Content Management" },
-				copyright: `Copyright ${year} PixlCore.com`,
-				language: "en-us",
-				lastBuildDate: this.get_rss_date(latest_epoch),
-				generator: 'PixlCore RSS Generator v1.0',
-				ttl: 60,
-				image: {
-					url: base_url + '/images/favicon-32x32.png',
-					title: 'PixlCore.com',
-					link: base_url + '/',
-					width: 32,
-					height: 32
-				},
-				item: []
-			}
-		};
+		return count;
+	},
+	
+	handle_status: function(args, callback) {
+		// report article load failures, search index and cache stats
+		// error details may contain file paths, and pending articles are unannounced,
+		// so they are only included for requests with the status secret (otherwise just counts)
+		var self = this;
+		var full = this.is_status_authorized(args);
+		var slugs = this.get_article_slugs(true);
+		var pending = {};
+		var failed = {};
 		
-		config.articles.forEach( function(slug) {
-			var article = self.articles[slug];
-			var author = config.authors[ article.author ];
-			
-			feed.channel.item.push({
-				title: article.title,
-				link: base_url + '/blog/' + slug,
-				guid: base_url + '/blog/' + slug,
-				description: article.summary,
-				pubDate: self.get_rss_date(article.date),
-				category: article.tags
-			});
-		});
+		for (var slug in this.failedArticles) {
+			var category = this.failedArticles[slug].category;
+			failed[category] = (failed[category] || 0) + 1;
+		}
 		
-		var parser = new XML.Parser( '<rss/>', { preserveAttributes: true } );
-		parser.tree = feed;
-		parser.piNodeList = [ '?xml version="1.0" encoding="UTF-8"?' ];
+		slugs.forEach( function(slug) {
+			var state = self.get_article_state( self.articles[slug] );
+			if (state != 'published') pending[slug] = { state: state, date: self.articles[slug].date };
+		} );
 		
 		callback( "200 OK", {
-			'Content-Type': "text/xml",
-			'Cache-Control': 'public, max-age=' + config.ttl
-		}, parser.compose() );
+			'Content-Type': "application/json",
+			'Cache-Control': 'no-store'
+		}, JSON.stringify({
+			code: 0,
+			articles: {
+				total: this.articleList.length,
+				loaded: slugs.length,
+				live: slugs.length - Tools.numKeys(pending),
+				pending: full ? pending : Tools.numKeys(pending),
+				failed: full ? this.failedArticles : failed
+			},
+			discover: {
+				mode: config.discover.mode,
+				error: (full || !this.discoverError) ? this.discoverError : "Discovery failed"
+			},
+			search: {
+				docs: Tools.numKeys(this.searchIndex.docs),
+				terms: Tools.numKeys(this.searchIndex.terms)
+			},
+			cache: this.cache.getStats()
+		}, null, "\t") );
+	},
+	
+	is_status_authorized: function(args) {
+		// check status secret, from the x-status-key header or key query param (constant-time comparison)
+		var secret = process.env.PIXLCORE_STATUS_SECRET || config.status.secret;
+		var key = args.request.headers['x-status-key'] || args.query.key;
+		if (!secret || !key) return false;
+		
+		var hash = function(value) { return crypto.createHash('sha256').update( String(value) ).digest(); };
+		return crypto.timingSafeEqual( hash(key), hash(secret) );
 	},
 	
 	handle_home: function(args, callback) {
 		// home page
 		var self = this;
-		var slug = config.articles[0];
-		var article = this.articles[slug];
+		var slug = this.get_article_slugs()[0];
+		var article = this.articles[slug] || null;
 		
-		var payload = JSON.stringify({
+		var contents = this.render_html({
 			pages: config.pages,
 			sidebar: config.sidebar,
 			article: article,
 			page: 'home'
 		});
 		
-		var contents = this.html.replace(/<\!\-\-\s+DATA\s+\-\-\>/, payload);
-		callback( "200 OK", {
+		this.send_cacheable( args, {
 			'Content-Type': "text/html",
 			'Cache-Control': 'public, max-age=' + config.ttl
-		}, contents );
+		}, contents, 0, callback );
 	},
 	
 	handle_page: function(id, args, callback) {
 		// show github repo markdown file as page content
 		var self = this;
 		var page = config.pages[id];
-		if (!page) return callback( "404 Not Found", {}, "Unable to locate the requested page." );
+		if (!page || !page.org) return callback( "404 Not Found", {}, "Unable to locate the requested page." );
 		
 		if (!page.file) page.file = 'README.md';
-		var url = 'https://raw.githubusercontent.com/' + page.org + '/' + page.repo + '/' + page.branch + '/' + page.file;
+		var loc = this.get_page_loc( page );
 		
-		this.get_cached_html( url, function(err, html) {
+		this.get_cached_html( loc, function(err, html, toc) {
 			if (err) return callback( "404 Not Found", {}, "Unable to locate the requested file." );
 			
-			var payload = JSON.stringify({
+			var data = {
 				pages: config.pages,
 				sidebar: config.sidebar,
 				meta: page,
 				slug: id,
 				body: html,
+				toc: toc,
 				page: page.page || 'repo'
-			});
+			};
 			
-			payload = payload.replace(/<\/script>/g, '</scr"+"ipt>');
+			var head = {
+				title: page.title || id,
+				description: self.get_html_summary(html),
+				url: config.base_url + '/view/' + id
+			};
+			if (data.page == 'repo') head.json_ld = self.get_repo_json_ld( page, head );
 			
-			var contents = self.html.replace(/<\!\-\-\s+DATA\s+\-\-\>/, payload);
-			callback( "200 OK", {
+			var contents = self.render_html( data, Render[data.page] ? Render[data.page](data) : null, head );
+			self.send_cacheable( args, {
 				'Content-Type': "text/html",
 				'Cache-Control': 'public, max-age=' + config.ttl
-			}, contents );
+			}, contents, 0, callback );
 		} );
 	},
 	
@@ -238,31 +1633,45 @@ module.exports = {
 		// show github repo markdown file as page content
 		var self = this;
 		var page = config.pages[repo];
-		if (!page) return callback( "404 Not Found", {}, "Unable to locate the requested repository." );
+		if (!page || !page.org) return callback( "404 Not Found", {}, "Unable to locate the requested repository." );
+		
+		// disallow parent directory references
+		if (path.match(/(^|\/)\.\.(\/|$)/)) return callback( "404 Not Found", {}, "Unable to locate the requested file." );
 		
 		page = Tools.copyHash(page);
 		page.file = path;
-		var url = 'https://raw.githubusercontent.com/' + page.org + '/' + page.repo + '/' + page.branch + '/' + page.file;
+		var loc = this.get_page_loc( page );
 		
-		this.get_cached_html( url, function(err, html) {
+		this.get_cached_html( loc, function(err, html, toc) {
 			if (err) return callback( "404 Not Found", {}, "Unable to locate the requested file." );
 			
-			var payload = JSON.stringify({
+			self.addKnownDoc( repo, path );
+			
+			var data = {
 				pages: config.pages,
 				sidebar: config.sidebar,
 				meta: page,
 				slug: repo,
 				body: html,
+				toc: toc,
 				page: 'doc'
-			});
+			};
 			
-			payload = payload.replace(/<\/script>/g, '</scr"+"ipt>');
+			var ssr = Render.doc(data);
 			
-			var contents = self.html.replace(/<\!\-\-\s+DATA\s+\-\-\>/, payload);
-			callback( "200 OK", {
+			// subtitle comes from the rendered html, so it is already entity-encoded (and render_head encodes titles)
+			var subtitle = self.get_plain_text( ssr.subtitle );
+			ssr.title = subtitle + ssr.title.substring( ssr.subtitle.length );
+			
+			var contents = self.render_html( data, ssr, {
+				title: subtitle + ' | ' + (page.title || repo),
+				description: self.get_html_summary(html),
+				url: config.base_url + '/doc/' + repo + '/' + path
+			} );
+			self.send_cacheable( args, {
 				'Content-Type': "text/html",
 				'Cache-Control': 'public, max-age=' + config.ttl
-			}, contents );
+			}, contents, 0, callback );
 		} );
 	},
 	
@@ -274,101 +1683,598 @@ module.exports = {
 		var article = this.articles[slug];
 		if (!article) return callback( "404 Not Found", {}, "Unable to locate the requested article: " + slug );
 		
-		var archives = [];
-		config.articles.forEach( function(slug) {
-			archives.push( self.articles[slug] );
-		});
+		// drafts and scheduled articles require a signed preview token
+		var preview = (this.get_article_state(article) != 'published');
+		if (preview && !Preview.verify(slug, args.query.preview, process.env.PIXLCORE_PREVIEW_SECRET || config.preview.secret)) {
+			return callback( "404 Not Found", {}, "Unable to locate the requested article: " + slug );
+		}
 		
-		var url = 'https://raw.githubusercontent.com/pixlcore/blog/main/' + slug + '.md';
+		var neighbors = this.get_article_neighbors(slug);
+		var loc = this.get_blog_loc( slug + '.md' );
 		
-		this.get_cached_html( url, function(err, html) {
+		this.get_cached_html( loc, function(err, html, toc) {
 			if (err) return callback( "404 Not Found", {}, "Unable to locate the requested file." );
 			
-			var payload = JSON.stringify({
+			var data = {
 				pages: config.pages,
 				authors: config.authors,
 				sidebar: config.sidebar,
-				archives: archives,
+				neighbors: neighbors,
+				related: self.get_related_articles(slug),
+				tags: self.get_tag_list(),
 				article: article,
 				slug: slug,
 				body: html,
+				toc: toc,
 				page: 'blog'
-			});
+			};
+			
+			var head = {
+				type: 'article',
+				title: article.title,
+				description: article.summary,
+				url: config.base_url + '/blog/' + slug,
+				image: article.image ? (new URL(article.image, config.base_url + '/blog/' + slug)).href : '',
+				published: article.date,
+				modified: article.updated || article.date,
+				authors: article.authors,
+				tags: article.tags
+			};
+			head.json_ld = self.get_article_json_ld( article, head );
 			
-			var contents = self.html.replace(/<\!\-\-\s+DATA\s+\-\-\>/, payload);
-			callback( "200 OK", {
+			var contents = self.render_html( data, Render.blog(data), head );
+			var headers = {
 				'Content-Type': "text/html",
 				'Cache-Control': 'public, max-age=' + config.ttl
-			}, contents );
+			};
+			if (preview) {
+				// previews must never be cached by proxies or indexed
+				headers['Cache-Control'] = 'private, no-store';
+				headers['X-Robots-Tag'] = 'noindex';
+			}
+			
+			// page includes the article body, neighboring articles and tag counts, which can all change without a new date,
+			// so only send an etag
+			self.send_cacheable( args, headers, contents, 0, callback );
+		} );
+	},
+	
+	render_html: function(data, ssr, head) {
+		// merge json payload and server-rendered markup (if any) into html shell
+		// ssr: { title, header, html } from render.js, which the client hydrates
+		// escape all angle brackets, so nothing in the json can close the script tag or open a comment
+		var payload = JSON.stringify(data).replace(/</g, '\\u003c').replace(/>/g, '\\u003e');
+		var contents = this.html.replace(/<\!\-\-\s+DATA\s+\-\-\>/, function() { return payload; });
+		
+		if (head) contents = this.render_head( contents, ssr ? ssr.title : head.title, head );
+		if (!ssr) return contents;
+		
+		return contents.replace(/<div class="header_title"><\/div>/, function() {
+			return '<div class="header_title">' + ssr.header + '</div>';
+		} ).replace(/<div class="page"><\/div>/, function() {
+			return '<div class="page" data-ssr="1">' + ssr.html + '</div>';
+		} );
+	},
+	
+	render_head: function(contents, window_title, head) {
+		// rewrite title, description, canonical url and social tags in html head for page
+		// head: { title, description, url, type?, image?, published?, modified?, authors?, tags?, json_ld? }
+		var self = this;
+		var encode = XML.encodeAttribEntities;
+		var description = this.get_plain_text( head.description || '' );
+		var new_tags = [ '<link rel="canonical" href="' + encode(head.url) + '">' ];
+		
+		var set_meta = function(attr, name, value) {
+			var regexp = new RegExp( '(<meta ' + attr + '="' + Tools.escapeRegExp(name) + '" content=")[^"]*(">)' );
+			contents = contents.replace( regexp, function(m_all, prefix, suffix) { return prefix + encode(value) + suffix; } );
+		};
+		var add_meta = function(property, value) {
+			new_tags.push( '<meta property="' + property + '" content="' + encode(value) + '">' );
+		};
+		
+		contents = contents.replace( /<title>[^<]*<\/title>/, function() { return '<title>' + XML.encodeEntities(window_title) + ' | PixlCore</title>'; } );
+		
+		if (description) {
+			set_meta( 'name', 'description', description );
+			set_meta( 'property', 'og:description', description );
+		}
+		set_meta( 'property', 'og:type', head.type || 'website' );
+		set_meta( 'property', 'og:url', head.url );
+		set_meta( 'property', 'og:title', head.title );
+		
+		if (head.image) {
+			// dimensions of custom images are unknown, so drop the default ones
+			set_meta( 'property', 'og:image', head.image );
+			contents = contents.replace( /\s*<meta property="og:image:(width|height)"[^>]*>/g, '' );
+		}
+		
+		if (head.authors) {
+			set_meta( 'name', 'author', head.authors.map( function(id) { return self.get_feed_author(id).name; } ).join(', ') );
+			head.authors.forEach( function(id) {
+				var author = self.get_feed_author(id);
+				add_meta( 'article:author', author.url || author.name );
+			} );
+		}
+		if (head.published) add_meta( 'article:published_time', this.get_atom_date(head.published) );
+		if (head.modified) add_meta( 'article:modified_time', this.get_atom_date(head.modified) );
+		(head.tags || []).forEach( function(tag) { add_meta( 'article:tag', tag ); } );
+		
+		// twitter falls back to the og tags for title, description and image
+		new_tags.push( '<meta name="twitter:card" content="summary_large_image">' );
+		
+		if (head.json_ld) {
+			// use default og:image from html shell if page has no image of its own
+			if (!head.json_ld.image && head.json_ld.publisher && contents.match(/<meta property="og:image" content="([^"]+)">/)) {
+				head.json_ld.image = XML.decodeEntities( RegExp.$1 );
+			}
+			
+			// escape all angle brackets, so nothing in the data can close the script tag
+			var json = JSON.stringify( head.json_ld ).replace(/</g, '\\u003c').replace(/>/g, '\\u003e');
+			new_tags.push( '<script type="application/ld+json">' + json + '</script>' );
+		}
+		
+		return contents.replace( /<meta property="og:locale"[^>]*>/, function(m_all) {
+			return m_all + "\n\t" + new_tags.join("\n\t");
 		} );
 	},
 	
-	get_cached_html: function(url, callback) {
-		// fetcn url, convert to html, and cache result
+	get_article_json_ld: function(article, head) {
+		// get schema.org BlogPosting structured data for article
 		var self = this;
-		var cache_id = 'MARKED:' + url;
 		
-		if (this.cache.has(cache_id)) {
-			var html = this.cache.get(cache_id);
-			return setImmediate( function() { callback(null, html); } );
+		var json_ld = {
+			"@context": "https://schema.org",
+			"@type": "BlogPosting",
+			"headline": article.title,
+			"description": this.get_plain_text( article.summary || '' ),
+			"url": head.url,
+			"mainEntityOfPage": head.url,
+			"datePublished": this.get_atom_date( article.date ),
+			"dateModified": this.get_atom_date( article.updated || article.date ),
+			"wordCount": article.words,
+			"keywords": article.tags.join(', '),
+			"author": article.authors.map( function(id) {
+				var author = self.get_feed_author(id);
+				var person = { "@type": "Person", "name": author.name };
+				if (author.url) person.url = author.url;
+				return person;
+			} ),
+			"publisher": {
+				"@type": "Organization",
+				"name": "PixlCore",
+				"url": config.base_url + '/',
+				"logo": { "@type": "ImageObject", "url": config.base_url + '/images/logo-256.png' }
+			}
+		};
+		if (head.image) json_ld.image = head.image;
+		
+		return json_ld;
+	},
+	
+	get_repo_json_ld: function(page, head) {
+		// get schema.org SoftwareSourceCode structured data for repo page
+		var json_ld = {
+			"@context": "https://schema.org",
+			"@type": "SoftwareSourceCode",
+			"name": head.title,
+			"url": head.url,
+			"codeRepository": page.link || ('https://github.com/' + page.org + '/' + page.repo + '/tree/' + page.branch)
+		};
+		if (head.description) json_ld.description = head.description;
+		
+		return json_ld;
+	},
+	
+	get_html_summary: function(html) {
+		// get plain text of first non-empty paragraph in rendered html, for page descriptions
+		var matches = html.match( /<p>[\s\S]*?<\/p>/g ) || [];
+		
+		for (var idx = 0, len = matches.length; idx < len; idx++) {
+			var text = this.get_plain_text( matches[idx] );
+			if (text) return (text.length > 200) ? (text.substring(0, text.lastIndexOf(' ', 200)) + '...') : text;
+		}
+		
+		return '';
+	},
+	
+	get_plain_text: function(html) {
+		// strip tags and decode entities, for use in meta tags
+		return XML.decodeEntities( html.replace(/<[^>]+>/g, '').replace(/&#39;/g, "'").replace(/&nbsp;/g, ' ') ).replace(/\s+/g, ' ').trim();
+	},
+	
+	send_cacheable: function(args, headers, contents, mod_epoch, callback) {
+		// send response with etag and optional last-modified, or 304 if the client copy is current
+		var req_headers = args.request.headers;
+		var etag = 'W/"' + crypto.createHash('sha1').update(contents).digest('hex') + '"';
+		var not_modified = false;
+		
+		headers['ETag'] = etag;
+		if (mod_epoch) headers['Last-Modified'] = (new Date(mod_epoch * 1000)).toUTCString();
+		
+		if (req_headers['if-none-match']) {
+			// if-none-match takes precedence over if-modified-since (weak comparison)
+			not_modified = req_headers['if-none-match'].split(/\s*,\s*/).some( function(tag) {
+				return (tag == '*') || (tag.replace(/^W\//, '') == etag.replace(/^W\//, ''));
+			} );
 		}
+		else if (mod_epoch && req_headers['if-modified-since']) {
+			var since = Date.parse( req_headers['if-modified-since'] );
+			not_modified = !isNaN(since) && (mod_epoch * 1000 <= since);
+		}
+		
+		if (not_modified) {
+			delete headers['Content-Type'];
+			return callback( "304 Not Modified", headers, '' );
+		}
+		
+		callback( "200 OK", headers, contents );
+	},
+	
+	get_blog_loc: function(file) {
+		// get content location for file in blog repo
+		return Tools.mergeHashes( config.blog, { file: file } );
+	},
+	
+	get_page_loc: function(page) {
+		// get content location for repo page (file defaults to readme)
+		// repo_page: relative urls are resolved against the repo (see resolve_repo_urls), unlike blog articles
+		return {
+			source: page.source,
+			debug_source: page.debug_source,
+			org: page.org,
+			repo: page.repo,
+			branch: page.branch,
+			file: page.file || 'README.md',
+			trusted: !!page.trusted,
+			repo_page: true
+		};
+	},
+	
+	get_source: function(loc) {
+		// get content source for location, which may be overridden in debug mode
+		var id = loc.source || config.default_source;
+		if (this.serverConfig.debug && loc.debug_source) id = loc.debug_source;
+		return this.sources[id] || null;
+	},
+	
+	get_cached_html: function(loc, callback) {
+		// fetch content, convert to html, and cache result
+		// fires callback with (err, html, toc), see get_html_toc for the toc format
+		var self = this;
+		var source = this.get_source(loc);
+		if (!source) return callback( new Error("Unknown content source: " + (loc.source || config.default_source)) );
 		
-		this.get_cached_url( url, function(err, text) {
+		// the same file may be rendered differently as a blog article and as a page (trust level and relative urls),
+		// so each variant gets its own cache slot
+		var trusted = !!loc.trusted;
+		var variant = this.get_html_variant(loc);
+		var cache_id = 'MARKED:' + variant + ':' + source.getID(loc);
+		
+		// always go through raw cache first, so stale content gets revalidated
+		this.get_cached_text( loc, function(err, text) {
 			if (err) return callback(err);
 			
-			var html = marked.parse(text, {
-				gfm: true,
-				tables: true,
-				breaks: false,
-				pedantic: false,
-				sanitize: false,
-				smartLists: true,
-				smartypants: false,
-				silent: true,
-				headerIds: true,
-				mangle: false
-			});
+			var entry = self.cache.get(cache_id);
+			if (entry) return callback(null, entry.html, entry.toc);
 			
-			// if running in local debug mode, return without caching
-			if (self.serverConfig.debug) return callback(null, html);
+			var render = function() {
+				var html = self.render_markdown(text);
+				if (loc.repo_page) html = self.resolve_repo_urls(html, loc);
+				html = Sanitize.sanitize( self.rewrite_links(html, loc), { trusted: trusted } );
+				return { html: html, toc: self.get_html_toc(html) };
+			};
 			
-			self.cache.set( cache_id, html );
-			callback(null, html);
+			// if running in local debug mode, or source is uncached (local files), return without caching
+			if (self.serverConfig.debug || !source.cache) {
+				entry = render();
+				return callback(null, entry.html, entry.toc);
+			}
+			
+			var finish = function(entry) {
+				self.cache.set( cache_id, entry, { length: entry.html.length * 2 } );
+				callback(null, entry.html, entry.toc);
+			};
+			if (!self.diskCache) return finish( render() );
+			
+			// rendered html on disk is only valid for the exact same text, app version, link settings and variant
+			var hash = crypto.createHash('sha1').update( pkg.version + "\n" + JSON.stringify(config.links) + "\n" + variant + "\n" + text ).digest('hex');
+			
+			self.diskCache.get( cache_id, function(err, record) {
+				if (record && (record.hash == hash) && record.toc) return finish({ html: record.value, toc: record.toc });
+				
+				var entry = render();
+				self.diskCache.set( cache_id, { fetched: Tools.timeNow(true), hash: hash, value: entry.html, toc: entry.toc }, function(err) {
+					if (err) self.logDebug(3, "Failed to write disk cache: " + cache_id + ": " + err);
+				} );
+				finish(entry);
+			} );
+		});
+	},
+	
+	get_html_variant: function(loc) {
+		// get rendering variant for location: trust level, and whether relative urls are resolved (repo pages only)
+		return (loc.trusted ? 'trusted' : 'untrusted') + '/' + (loc.repo_page ? 'page' : 'blog');
+	},
+	
+	get_html_cache_ids: function(cache_id) {
+		// get rendered html cache ids for all variants of a raw content cache id
+		return ['trusted/page', 'trusted/blog', 'untrusted/page', 'untrusted/blog'].map( function(variant) {
+			return 'MARKED:' + variant + ':' + cache_id;
+		} );
+	},
+	
+	get_html_toc: function(html) {
+		// build table of contents from headings in rendered html: [{ level, id, text, children }]
+		// returns an empty array for short documents, so the client can skip it
+		var self = this;
+		var root = { level: 0, children: [] };
+		var stack = [ root ];
+		var count = 0;
+		
+		html.replace( /<h([1-6])\s+id="([^"]+)"[^>]*>([\s\S]*?)<\/h\1>/g, function(m_all, level, id, inner) {
+			level = parseInt(level);
+			if (level > config.toc.max_level) return m_all;
+			
+			var item = { level: level, id: XML.decodeEntities(id), text: self.get_plain_text(inner), children: [] };
+			while (stack[ stack.length - 1 ].level >= level) stack.pop();
+			stack[ stack.length - 1 ].children.push( item );
+			stack.push( item );
+			count++;
+			return m_all;
+		} );
+		
+		// a single top-level heading is just the document title, so skip it
+		var toc = root.children;
+		if ((toc.length == 1) && toc[0].children.length) { toc = toc[0].children; count--; }
+		
+		return (count >= config.toc.min_headings) ? toc : [];
+	},
+	
+	render_markdown: function(text) {
+		// convert markdown to html (front matter is metadata, not content)
+		return marked.parse(this.strip_front_matter(text), {
+			gfm: true,
+			tables: true,
+			breaks: false,
+			pedantic: false,
+			sanitize: false,
+			smartLists: true,
+			smartypants: false,
+			silent: true,
+			headerIds: true,
+			mangle: false
 		});
 	},
 	
-	get_cached_url: function(url, callback) {
-		// fetch url and cache response
+	get_cached_text: function(loc, callback) {
+		// fetch raw content from source and cache response
+		// expired entries are served stale (up to max_stale) and refreshed in the background
 		var self = this;
+		var source = this.get_source(loc);
+		if (!source) return callback( new Error("Unknown content source: " + (loc.source || config.default_source)) );
+		
+		var cache_id = source.getID(loc);
+		var entry = source.cache ? this.cache.get(cache_id) : null;
+		
+		if (entry) {
+			if (Tools.timeNow() - entry.fetched >= config.ttl) {
+				this.logDebug(9, "Using stale value from cache: " + cache_id, { fetched: entry.fetched });
+				this.fetch_text( source, loc, function() {} );
+			}
+			else this.logDebug(9, "Using value from cache: " + cache_id);
+			
+			return setImmediate( function() { callback(null, entry.text); } );
+		}
+		
+		if (!source.cache || !this.diskCache) return this.fetch_text( source, loc, callback );
 		
-		// use local blog files in debug mode
-		if (this.serverConfig.debug && url.match(/\/pixlcore\/blog\/main\/(.+)\.md$/)) {
-			var slug = RegExp.$1;
-			var file = '/Users/jhuckaby/git/blog/' + slug + '.md';
-			this.logDebug(9, "Using local file: " + file);
+		// check disk before going to the network
+		this.diskCache.get( cache_id, function(err, record) {
+			if (err) self.logDebug(3, "Failed to read disk cache: " + cache_id + ": " + err);
+			if (!record) return self.fetch_text( source, loc, callback );
 			
-			fs.readFile( file, 'utf8', function(err, text) {
-				if (err) return callback(err);
+			if (Tools.timeNow() - record.fetched < config.ttl + config.cache.max_stale) {
+				// promote to memory, and let the memory path decide if it needs revalidating
+				self.logDebug(9, "Using value from disk cache: " + cache_id, { fetched: record.fetched });
+				self.cache.set( cache_id, { text: record.value, fetched: record.fetched }, { length: record.value.length * 2 } );
+				return self.get_cached_text( loc, callback );
+			}
+			
+			// too old to serve outright, but still better than nothing if upstream is down
+			self.fetch_text( source, loc, function(err, text) {
+				if (err) {
+					self.logDebug(3, "Using last known content from disk cache: " + cache_id, { fetched: record.fetched });
+					return callback(null, record.value);
+				}
 				callback(null, text);
 			} );
-			
+		} );
+	},
+	
+	fetch_text: function(source, loc, callback) {
+		// fetch content from source and cache it, coalescing concurrent requests for the same location
+		var self = this;
+		var cache_id = source.getID(loc);
+		
+		if (this.fetches[cache_id]) {
+			this.fetches[cache_id].push( callback );
 			return;
 		}
+		this.fetches[cache_id] = [ callback ];
 		
-		if (this.cache.has(url)) {
-			this.logDebug(9, "Using value from cache: " + url);
-			var text = this.cache.get(url);
-			return setImmediate( function() { callback(null, text); } );
-		}
+		source.fetch( loc, function(err, text) {
+			var callbacks = self.fetches[cache_id];
+			delete self.fetches[cache_id];
+			
+			if (err) {
+				// keep stale copy (if any) in cache, so we ride out upstream outages
+				self.logDebug(3, "Failed to fetch content: " + cache_id + ": " + err);
+			}
+			else if (source.cache) {
+				// drop rendered html if content changed
+				var old = self.cache.get(cache_id);
+				if (!old || (old.text !== text)) self.get_html_cache_ids(cache_id).forEach( function(id) { self.cache.delete(id); } );
+				
+				var fetched = Tools.timeNow(true);
+				self.cache.set( cache_id, { text: text, fetched: fetched }, { length: text.length * 2 } );
+				
+				if (self.diskCache) self.diskCache.set( cache_id, { fetched: fetched, value: text }, function(err) {
+					if (err) self.logDebug(3, "Failed to write disk cache: " + cache_id + ": " + err);
+				} );
+			}
+			
+			callbacks.forEach( function(callback) { callback(err, text); } );
+		});
+	},
+	
+	resolve_repo_urls: function(html, loc) {
+		// rewrite relative urls in markdown rendered from a repo, which would otherwise resolve against our own page url
+		// images go to raw file urls, markdown docs to our doc pages (if the repo has a page), everything else to github
+		var base_dir = Path.posix.dirname( loc.file || 'README.md' );
+		var page_id = this.get_repo_page_id(loc);
+		
+		var fix_url = function(url, is_image) {
+			// leave absolute urls, site paths and anchors alone
+			if (!url || url.match(/^(\w+\:|\/|\#)/)) return url;
+			
+			var matches = url.match(/^([^\?\#]*)(.*)$/);
+			var path = Path.posix.normalize( Path.posix.join(base_dir, matches[1]) );
+			var suffix = matches[2];
+			if (path.match(/^\.\.(\/|$)/)) return url; // outside of repo
+			
+			var file_loc = Tools.mergeHashes( loc, { file: path } );
+			
+			if (is_image || path.match(/\.(png|jpe?g|gif|svg|webp|avif)$/i)) return Tools.sub( config.links.raw_url, file_loc ) + suffix;
+			
+			if (page_id && path.match(/\.md$/i)) {
+				if (path.toLowerCase() == 'readme.md') return '/view/' + page_id + suffix;
+				return '/doc/' + page_id + '/' + path + suffix;
+			}
+			
+			return Tools.sub( config.links.blob_url, file_loc ) + suffix;
+		};
 		
-		this.logDebug(9, "Fetching URL: " + url);
+		return this.replace_attribs( html, ['href', 'src', 'poster', 'srcset'], function(attr, value) {
+			if (attr == 'srcset') return value.split(/\s*,\s*/).map( function(src) {
+				return src.replace(/^\S+/, function(url) { return fix_url(url, true); });
+			} ).join(', ');
+			
+			return fix_url(value, attr != 'href');
+		} );
+	},
+	
+	replace_attribs: function(html, names, callback) {
+		// replace values of named attributes with callback(attr, value, tag_name), and write them back double quoted
+		// only looks inside tags (so escaped html in code blocks is left alone), and allows unquoted values, e.g. <img src=logo.png>
+		// whitespace is required before the attribute name, so data-src and friends are left alone
+		var attr_re = new RegExp( '(\\s)(' + names.join('|') + ')\\s*=\\s*(?:"([^"]*)"|\'([^\']*)\'|([^\\s"\'=<>`]+))', 'ig' );
 		
-		this.request.get(url, function(err, resp, data, perf) {
-			if (err) return callback(err);
-			var text = data.toString();
-			self.cache.set( url, text );
-			callback(null, text);
-		});
+		return html.replace( /<([a-zA-Z][\w\-]*)((?:[^>"']|"[^"]*"|'[^']*')*)>/g, function(tag, tag_name) {
+			tag_name = tag_name.toLowerCase();
+			
+			return tag.replace( attr_re, function(m_all, space, attr, dq_value, sq_value, bare_value) {
+				var value = (dq_value !== undefined) ? dq_value : ((sq_value !== undefined) ? sq_value : bare_value);
+				attr = attr.toLowerCase();
+				value = callback(attr, value, tag_name);
+				return space + attr + '="' + value.replace(/"/g, '&quot;') + '"';
+			} );
+		} );
+	},
+	
+	rewrite_links: function(html, loc) {
+		// point links to our repos and docs (on github or npm) at our own pages, so this works in feeds and without js
+		// github links are only rewritten for orgs in config.links.orgs, and internal links we can't resolve are logged
+		var self = this;
+		var orgs = config.links.orgs.map( function(org) { return org.toLowerCase(); } );
+		var site_prefix = new RegExp( '^' + Tools.escapeRegExp(config.base_url) + '(?=\\/)' );
+		var file = loc.org + '/' + loc.repo + '/' + loc.file;
+		
+		var unresolved = function(url, reason) {
+			self.logDebug(3, "Unresolvable internal link in " + file + ": " + url + " (" + reason + ")");
+			return url;
+		};
+		
+		var fix_url = function(url) {
+			var hash = (url.indexOf('#') > -1) ? url.substring( url.indexOf('#') ) : '';
+			var base = url.substring( 0, url.length - hash.length ).replace( site_prefix, '' );
+			
+			// our own pages, e.g. /view/pixl-server or /doc/pixl-server/docs/API.md
+			if (base.match(/^\/(view|doc)\/([\w\-]+)/)) {
+				return config.pages[ RegExp.$2 ] ? url : unresolved(url, "unknown page: " + RegExp.$2);
+			}
+			
+			// npm package with a page, e.g. https://www.npmjs.com/package/pixl-server
+			if (base.match(/^https?\:\/\/(www\.)?npmjs\.com\/package\/([\w\-\.]+)\/?$/i)) {
+				var id = RegExp.$2.toLowerCase();
+				return config.pages[id] ? ('/view/' + id + hash) : url;
+			}
+			
+			// github repo in one of our orgs, e.g. https://github.com/jhuckaby/pixl-server/blob/master/docs/API.md
+			if (!base.match(/^https?\:\/\/(www\.)?github\.com\/([\w\-\.]+)\/([\w\-\.]+?)(\.git)?(\/.*)?$/i)) return url;
+			if (!orgs.includes( RegExp.$2.toLowerCase() )) return url;
+			
+			var repo = RegExp.$3.toLowerCase();
+			var rest = (RegExp.$5 || '').replace(/\/$/, '');
+			var page = config.pages[repo];
+			if (!page || !page.org) return url; // repo without a page is external
+			
+			if (!rest) return '/view/' + repo + hash;
+			
+			// pages pointing at another repo (e.g. xyops) only show a single file
+			if (page.link) return url;
+			
+			if (rest.match(/^\/(blob|tree)\/([^\/]+)(\/(.+))?$/)) {
+				var type = RegExp.$1;
+				var branch = RegExp.$2;
+				var path = RegExp.$4;
+				
+				if (branch != page.branch) return (path.match(/\.md$/i) || !path) ? unresolved(url, "branch is not " + page.branch) : url;
+				if (!path) return '/view/' + repo + hash;
+				if ((type == 'blob') && path.match(/\.md$/i)) {
+					return (path === (page.file || 'README.md')) ? ('/view/' + repo + hash) : ('/doc/' + repo + '/' + path + hash);
+				}
+			}
+			
+			return url;
+		};
+		
+		return this.replace_attribs( html, ['href'], function(attr, url, tag_name) {
+			return (tag_name == 'a') ? fix_url(url) : url;
+		} );
+	},
+	
+	get_repo_page_id: function(loc) {
+		// get id of page showing the readme for the repo containing loc, or empty string if none
+		// pages showing a single file from a shared repo (e.g. about) don't count
+		for (var id in config.pages) {
+			var page = config.pages[id];
+			if (!page.org || page.link || (page.file && (page.file != 'README.md'))) continue;
+			if ((page.org.toLowerCase() == loc.org.toLowerCase()) && (page.repo.toLowerCase() == loc.repo.toLowerCase())) return id;
+		}
+		return '';
+	},
+	
+	get_absolute_html: function(html, page_url) {
+		// convert all relative link and image urls in html to absolute, using page url as base
+		var fix_url = function(url) {
+			if (url.match(/^(\w+\:|\/\/)/)) return url; // already absolute, or mailto: etc.
+			try { return (new URL(url, page_url)).href; }
+			catch (err) { return url; }
+		};
+		
+		// require whitespace before the attribute name, so data-src and friends are left alone
+		return html.replace( /(\s)(href|src|poster)\s*=\s*(["'])([^"']*)\3/ig, function(m_all, space, attr, quote, url) {
+			return space + attr + '=' + quote + fix_url(url) + quote;
+		} ).replace( /(\s)srcset\s*=\s*(["'])([^"']*)\2/ig, function(m_all, space, quote, srcset) {
+			return space + 'srcset=' + quote + srcset.split(/\s*,\s*/).map( function(src) {
+				return src.replace(/^\S+/, fix_url);
+			} ).join(', ') + quote;
+		} );
+	},
+	
+	get_atom_date: function(epoch) {
+		// given epoch, return rfc 3339 date for atom and json feeds
+		return (new Date( epoch * 1000 )).toISOString().replace(/\.\d+Z$/, 'Z');
 	},
 	
 	get_rss_date: function(epoch) {
@@ -383,7 +2289,10 @@ module.exports = {
 	},
 	
 	shutdown: function(callback) {
+		// cancel pending article retries and event polling
+		for (var slug in this.retryTimers) clearTimeout( this.retryTimers[slug] );
+		if (this.eventTimer) clearInterval( this.eventTimer );
 		callback();
 	}
-	
+
 };
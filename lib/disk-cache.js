@@ -0,0 +1,73 @@
+// PixlCore Disk Cache
+// Persistent cache tier for raw markdown and rendered html, so we can boot and serve offline
+// Copyright (c) 2026 Joseph Huckaby
+
+const fs = require('fs');
+const Path = require('path');
+const crypto = require('crypto');
+
+class DiskCache {
+	// records: { key, fetched, value, ... } stored as json files, named by hash of key
+	
+	constructor(dir) {
+		this.dir = Path.resolve( dir );
+		fs.mkdirSync( this.dir, { recursive: true } );
+	}
+	
+	getPath(key) {
+		// get file path for cache key
+		return Path.join( this.dir, crypto.createHash('sha1').update(key).digest('hex') + '.json' );
+	}
+	
+	get(key, callback) {
+		// load record for key, fire callback with (err, record), record is null if not found
+		fs.readFile( this.getPath(key), 'utf8', function(err, json) {
+			if (err) return callback( (err.code == 'ENOENT') ? null : err, null );
+			
+			var record = null;
+			try { record = JSON.parse(json); }
+			catch (err) { return callback(err, null); }
+			
+			// guard against hash collisions
+			callback( null, (record.key === key) ? record : null );
+		} );
+	}
+	
+	set(key, record, callback) {
+		// save record for key, writing to temp file first so readers never see a partial file
+		var file = this.getPath(key);
+		var temp_file = file + '.' + process.pid + '.' + crypto.randomBytes(4).toString('hex') + '.tmp';
+		
+		record.key = key;
+		
+		fs.writeFile( temp_file, JSON.stringify(record), function(err) {
+			if (err) return callback(err);
+			fs.rename( temp_file, file, callback );
+		} );
+	}
+	
+	expire(key) {
+		// mark record for key as stale, so it is refetched first but still kept as a fallback
+		// synchronous like delete, returns true if a record was found
+		var file = this.getPath(key);
+		var record = null;
+		
+		try { record = JSON.parse( fs.readFileSync(file, 'utf8') ); }
+		catch (err) { return false; }
+		if (record.key !== key) return false;
+		
+		record.fetched = 0;
+		var temp_file = file + '.' + process.pid + '.' + crypto.randomBytes(4).toString('hex') + '.tmp';
+		fs.writeFileSync( temp_file, JSON.stringify(record) );
+		fs.renameSync( temp_file, file );
+		return true;
+	}
+	
+	delete(key) {
+		// remove record for key (synchronous, so a following get never sees it)
+		fs.rmSync( this.getPath(key), { force: true } );
+	}
+
+}
+
+module.exports = DiskCache;
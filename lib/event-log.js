@@ -0,0 +1,88 @@
+// PixlCore Event Log
+// Shared log of events (e.g. webhook pushes) for all worker processes using the same directory, one json file per event
+// Copyright (c) 2026 Joseph Huckaby
+
+const fs = require('fs');
+const Path = require('path');
+const crypto = require('crypto');
+const async = require('async');
+
+class EventLog {
+	// events: { id, time, pid, data } stored as json files, named so they sort by time
+	
+	constructor(dir, max_age) {
+		this.dir = Path.resolve( dir );
+		this.maxAge = max_age || 3600;
+		this.seen = {};
+		this.instance = process.pid + '-' + crypto.randomBytes(4).toString('hex');
+		this.nextID = 1;
+		fs.mkdirSync( this.dir, { recursive: true } );
+		
+		// events from before we started are already reflected in what we load at startup
+		this.getFiles().forEach( function(file) { this.seen[file] = 1; }, this );
+	}
+	
+	getFiles() {
+		// get sorted list of event files (synchronous, missing dir is treated as empty)
+		try { return fs.readdirSync( this.dir ).filter( function(file) { return file.match(/^\d+\-[\w\-]+\.json$/); } ).sort(); }
+		catch (err) { return []; }
+	}
+	
+	publish(data, callback) {
+		// add event for other processes to pick up, fire callback with (err, event)
+		// file names include our instance id, so we never pick up our own events
+		var now = Date.now();
+		var id = String(now).padStart(15, '0') + '-' + this.instance + '-' + (this.nextID++);
+		var file = Path.join( this.dir, id + '.json' );
+		var temp_file = file + '.tmp';
+		var event = { id: id, time: now / 1000, pid: process.pid, data: data };
+		
+		fs.writeFile( temp_file, JSON.stringify(event), function(err) {
+			if (err) return callback(err);
+			fs.rename( temp_file, file, function(err) { callback(err, event); } );
+		} );
+	}
+	
+	poll(callback) {
+		// get events published by other processes since our last poll, oldest first, fire callback with (err, events)
+		// also removes events older than max age (whichever process gets there first)
+		var self = this;
+		var files = this.getFiles();
+		var cutoff = Date.now() - (this.maxAge * 1000);
+		var events = [];
+		var seen = {};
+		
+		files = files.filter( function(file) {
+			if (parseInt(file, 10) < cutoff) {
+				fs.rm( Path.join(self.dir, file), { force: true }, function() {} );
+				return false;
+			}
+			seen[file] = 1;
+			return !self.seen[file] && (file.indexOf('-' + self.instance + '-') == -1);
+		} );
+		
+		// forget files which are gone, so our seen list doesn't grow forever
+		for (var file in this.seen) {
+			if (!seen[file]) delete this.seen[file];
+		}
+		
+		async.eachSeries( files,
+			function(file, callback) {
+				fs.readFile( Path.join(self.dir, file), 'utf8', function(err, json) {
+					self.seen[file] = 1;
+					if (err) return callback( (err.code == 'ENOENT') ? null : err );
+					
+					try { events.push( JSON.parse(json) ); }
+					catch (err) { return callback(err); }
+					callback();
+				} );
+			},
+			function(err) {
+				callback( err || null, events );
+			}
+		);
+	}
+
+}
+
+module.exports = EventLog;
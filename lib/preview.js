@@ -0,0 +1,28 @@
+// PixlCore Preview Tokens
+// Signed, expiring tokens for viewing draft and scheduled articles before they go live
+// Copyright (c) 2026 Joseph Huckaby
+
+const crypto = require('crypto');
+
+module.exports = {
+	
+	sign(slug, expires, secret) {
+		// get token for slug, valid until expires (epoch seconds)
+		// format: [expires]-[hmac]
+		var hmac = crypto.createHmac('sha256', secret).update( slug + ':' + expires ).digest('hex');
+		return expires + '-' + hmac.substring(0, 32);
+	},
+	
+	verify(slug, token, secret) {
+		// check token for slug, and that it hasn't expired
+		if (!secret || !token || !String(token).match(/^(\d+)\-([0-9a-f]{32})$/)) return false;
+		
+		var expires = parseInt( RegExp.$1 );
+		if (expires < Date.now() / 1000) return false;
+		
+		var expected = Buffer.from( this.sign(slug, expires, secret) );
+		var actual = Buffer.from( String(token) );
+		return (expected.length == actual.length) && crypto.timingSafeEqual( expected, actual );
+	}
+
+};
@@ -0,0 +1,196 @@
+// PixlCore HTML Sanitizer
+// Allowlist filter for rendered markdown, so third-party repos can't inject script or markup into our pages
+// Copyright (c) 2026 Joseph Huckaby
+
+// attributes allowed on every tag
+const GLOBAL_ATTRIBS = [ 'id', 'class', 'title', 'align', 'lang', 'dir' ];
+
+// allowed tags and their extra attributes (roughly what GitHub allows in READMEs)
+const TAGS = {
+	a: ['href', 'name'], abbr: [], b: [], bdi: [], bdo: [], blockquote: ['cite'], br: [], caption: [], center: [], cite: [],
+	code: [], col: ['span', 'width'], colgroup: ['span', 'width'], dd: [], del: ['cite', 'datetime'], details: ['open'], dfn: [],
+	div: [], dl: [], dt: [], em: [], figcaption: [], figure: [], h1: [], h2: [], h3: [], h4: [], h5: [], h6: [], hr: [], i: [],
+	img: ['src', 'srcset', 'alt', 'width', 'height', 'loading'], input: ['type', 'checked', 'disabled'], ins: ['cite', 'datetime'],
+	kbd: [], li: ['value'], mark: [], ol: ['start', 'type', 'reversed'], p: [], picture: [], pre: [], q: ['cite'], rp: [], rt: [],
+	ruby: [], s: [], samp: [], small: [], source: ['srcset', 'media', 'type', 'width', 'height'], span: [], strike: [], strong: [],
+	sub: [], summary: [], sup: [], table: ['width'], tbody: [], td: ['colspan', 'rowspan', 'width', 'valign'], tfoot: [],
+	th: ['colspan', 'rowspan', 'width', 'valign', 'scope'], thead: [], time: ['datetime'], tr: [], tt: [], u: [], ul: [], var: [],
+	video: ['src', 'poster', 'width', 'height', 'controls', 'loop', 'muted', 'playsinline'], audio: ['src', 'controls', 'loop'], wbr: []
+};
+
+// tags without content or closing tag
+const VOID_TAGS = { br: 1, col: 1, hr: 1, img: 1, input: 1, source: 1, wbr: 1 };
+
+// tags which are removed along with everything inside them
+const DROP_TAGS = {
+	script: 1, style: 1, iframe: 1, frame: 1, frameset: 1, object: 1, embed: 1, applet: 1, noscript: 1, noembed: 1, noframes: 1,
+	template: 1, textarea: 1, select: 1, title: 1, xmp: 1, svg: 1, math: 1
+};
+
+// attributes holding urls, and which schemes they may use (relative urls are always allowed)
+const URL_ATTRIBS = { href: /^(https?|mailto):$/, src: /^https?:$/, srcset: /^https?:$/, poster: /^https?:$/, cite: /^https?:$/ };
+
+// classes used by our own markdown renderer, which are allowed in untrusted content
+const SAFE_CLASS = /^(blocknote|note|tip|important|warning|caution|bn_title|bn_content|mdi|mdi\-[\w\-]+|language\-[\w\-\+\#\.]+)$/;
+
+// prefix for ids and anchor names in untrusted content, so they can't clobber globals like window.config or window.app
+// (same as github, so in-page links copied from there keep working)
+const ID_PREFIX = 'user-content-';
+
+// named entities decoded in attribute values (everything else is kept literally)
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: "\u00a0", colon: ':', tab: "\t", newline: "\n" };
+
+module.exports = {
+	
+	sanitize(html, opts) {
+		// filter html through tag and attribute allowlist, and balance all tags
+		// opts: { trusted } -- trusted content (our own blog repo) may also use styles, data attributes and any class
+		var self = this;
+		var trusted = !!(opts && opts.trusted);
+		var output = '';
+		var stack = [];
+		var drop = null;
+		var depth = 0;
+		var last = 0;
+		var matches = null;
+		var tag_re = /<!\-\-[\s\S]*?(?:\-\->|$)|<[\!\?][^>]*>?|<(\/?)([a-zA-Z][\w\-]*)((?:[^>"']|"[^"]*"|'[^']*')*)>/g;
+		
+		while ((matches = tag_re.exec(html))) {
+			if (!drop) output += this.escapeText( html.substring(last, matches.index) );
+			last = tag_re.lastIndex;
+			
+			// comments, doctypes and processing instructions are always removed
+			if (!matches[2]) continue;
+			
+			var closing = !!matches[1];
+			var name = matches[2].toLowerCase();
+			
+			// skip everything up to the matching close tag for dropped elements
+			if (drop) {
+				if (name == drop) depth += closing ? -1 : 1;
+				if (!depth) drop = null;
+				continue;
+			}
+			if (DROP_TAGS.hasOwnProperty(name)) {
+				if (!closing && !matches[3].match(/\/\s*$/)) { drop = name; depth = 1; }
+				continue;
+			}
+			
+			// unknown tags are removed, but their content is kept
+			if (!TAGS.hasOwnProperty(name)) continue;
+			
+			if (closing) {
+				// only close tags we opened, so content can't break out of its container
+				var idx = stack.lastIndexOf(name);
+				if (idx == -1) continue;
+				while (stack.length > idx) output += '</' + stack.pop() + '>';
+				continue;
+			}
+			
+			var attribs = this.getAttribs( name, matches[3], trusted );
+			if (!attribs) continue;
+			
+			output += '<' + name + Object.keys(attribs).map( function(key) {
+				return ' ' + key + '="' + self.escapeAttrib( attribs[key] ) + '"';
+			} ).join('') + '>';
+			
+			if (!VOID_TAGS[name]) stack.push( name );
+		}
+		
+		if (!drop) output += this.escapeText( html.substring(last) );
+		while (stack.length) output += '</' + stack.pop() + '>';
+		
+		return output;
+	},
+	
+	getAttribs(name, source, trusted) {
+		// parse and filter attributes for allowed tag, returns null if whole tag should be removed
+		var attribs = {};
+		var allowed = TAGS[name];
+		var attrib_re = /([^\s"'>\/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+)))?/g;
+		var matches = null;
+		
+		while ((matches = attrib_re.exec(source))) {
+			var key = matches[1].toLowerCase();
+			var value = this.decodeEntities( matches[2] || matches[3] || matches[4] || '' );
+			
+			if (attribs.hasOwnProperty(key)) continue;
+			if (!allowed.includes(key) && !GLOBAL_ATTRIBS.includes(key) && !(trusted && key.match(/^(style|data\-[\w\-]+)$/))) continue;
+			
+			if (URL_ATTRIBS[key]) {
+				value = (key == 'srcset') ? this.filterSrcset(value, URL_ATTRIBS[key]) : this.filterURL(value, URL_ATTRIBS[key]);
+				if (value === null) continue;
+				
+				// in-page anchors must point at the prefixed ids
+				if ((key == 'href') && !trusted && value.match(/^\#(.+)$/)) value = '#' + this.prefixID( RegExp.$1 );
+			}
+			else if (((key == 'id') || (key == 'name')) && !trusted) {
+				if (!value) continue;
+				value = this.prefixID( value );
+			}
+			else if ((key == 'class') && !trusted) {
+				value = value.split(/\s+/).filter( function(cls) { return cls.match(SAFE_CLASS); } ).join(' ');
+				if (!value) continue;
+			}
+			
+			attribs[key] = value;
+		}
+		
+		// only checkboxes (gfm task lists), and never editable
+		if (name == 'input') {
+			if (String(attribs.type).toLowerCase() != 'checkbox') return null;
+			attribs.disabled = '';
+		}
+		
+		return attribs;
+	},
+	
+	prefixID(id) {
+		// add our prefix to id from untrusted content, unless it already has it
+		return (id.indexOf(ID_PREFIX) === 0) ? id : (ID_PREFIX + id);
+	},
+	
+	filterURL(url, schemes) {
+		// return url if it is relative or uses an allowed scheme, null otherwise
+		// browsers ignore whitespace and control chars when parsing the scheme, so we do too
+		var clean = url.replace(/[\x00-\x20\x7f]+/g, '');
+		var matches = clean.match(/^([^\/\?\#]*?:)/);
+		if (matches && !matches[1].toLowerCase().match(schemes)) return null;
+		return url.trim();
+	},
+	
+	filterSrcset(srcset, schemes) {
+		// filter each url in srcset attribute ("url 2x, url 640w"), returns null if any are rejected
+		var self = this;
+		var ok = true;
+		
+		var value = srcset.split(/,\s+/).map( function(item) {
+			var parts = item.trim().split(/\s+/);
+			if (self.filterURL(parts[0], schemes) === null) ok = false;
+			return parts.join(' ');
+		} ).join(', ');
+		
+		return ok ? value : null;
+	},
+	
+	decodeEntities(text) {
+		// decode numeric and common named entities in attribute value
+		return text.replace( /&(#x[0-9a-f]+|#\d+|\w+);?/gi, function(m_all, ent) {
+			if (ent.match(/^#x([0-9a-f]+)$/i)) return String.fromCodePoint( Math.min(parseInt(RegExp.$1, 16), 0x10FFFF) );
+			if (ent.match(/^#(\d+)$/)) return String.fromCodePoint( Math.min(parseInt(RegExp.$1, 10), 0x10FFFF) );
+			var key = ent.toLowerCase();
+			return ENTITIES.hasOwnProperty(key) ? ENTITIES[key] : m_all;
+		} );
+	},
+	
+	escapeAttrib(text) {
+		// encode attribute value for double quotes
+		return text.replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+	},
+	
+	escapeText(text) {
+		// escape stray angle brackets and ampersands in text, keeping existing entities
+		return text.replace(/&(?!#?\w+;)/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+	}
+
+};
@@ -0,0 +1,228 @@
+// PixlCore Search Index
+// Simple in-memory inverted index for blog articles and repo docs
+// Copyright (c) 2026 Joseph Huckaby
+
+const Tools = require("pixl-tools");
+
+// common words that are not worth indexing
+const STOP_WORDS = {};
+[
+	"a", "an", "and", "are", "as", "at", "be", "but", "by", "for", "from", "if", "in", "into", "is", "it", "its",
+	"of", "on", "or", "so", "such", "that", "the", "their", "then", "there", "these", "they", "this", "to", "was",
+	"we", "were", "will", "with", "you", "your"
+].forEach( function(word) { STOP_WORDS[word] = 1; } );
+
+class SearchIndex {
+	
+	constructor() {
+		// docs: id --> { id, type, title, url, text, length }
+		// terms: term --> { doc_id: count }
+		// version is bumped on every change, so callers can tell when derived data (e.g. related scores) is stale
+		this.docs = {};
+		this.terms = {};
+		this.version = 0;
+	}
+	
+	add(doc) {
+		// add or replace document in index
+		// doc: { id, type, title, url, text, keywords?, ... }
+		// keywords are indexed along with the text (e.g. article summary and tags), but not used for snippets
+		this.remove( doc.id );
+		
+		var text = this.getPlainText( doc.text );
+		var words = this.tokenize( text ).concat( this.tokenize( doc.keywords || '' ) );
+		var title_words = this.tokenize( doc.title || '' );
+		var counts = {};
+		
+		words.forEach( function(word) { counts[word] = (counts[word] || 0) + 1; } );
+		
+		var entry = Tools.copyHashRemoveKeys( doc, { text: 1, keywords: 1 } );
+		entry.text = text;
+		entry.length = words.length;
+		entry.title_terms = {};
+		entry.terms = Object.keys(counts);
+		
+		title_words.forEach( function(word) {
+			entry.title_terms[word] = 1;
+			if (!counts[word]) { counts[word] = 1; entry.terms.push(word); }
+		} );
+		
+		for (var term in counts) {
+			if (!this.terms[term]) this.terms[term] = {};
+			this.terms[term][ doc.id ] = counts[term];
+		}
+		
+		this.docs[ doc.id ] = entry;
+		this.version++;
+	}
+	
+	remove(id) {
+		// remove document from index, if present
+		var entry = this.docs[id];
+		if (!entry) return false;
+		
+		entry.terms.forEach( function(term) {
+			var postings = this.terms[term];
+			if (!postings) return;
+			delete postings[id];
+			if (!Tools.numKeys(postings)) delete this.terms[term];
+		}, this );
+		
+		delete this.docs[id];
+		this.version++;
+		return true;
+	}
+	
+	search(query, opts = {}) {
+		// search index for all query terms, return ranked results with snippets
+		// opts: { offset, limit, type, filter }
+		var self = this;
+		var offset = opts.offset || 0;
+		var limit = opts.limit || 25;
+		var terms = this.tokenize( query || '' );
+		var num_docs = Tools.numKeys(this.docs) || 1;
+		var phrase = (query || '').toString().trim().toLowerCase();
+		var scores = null;
+		
+		if (!terms.length) return { total: 0, results: [] };
+		
+		// dedupe terms but preserve order
+		terms = terms.filter( function(term, idx) { return terms.indexOf(term) == idx; } );
+		
+		for (var idx = 0, len = terms.length; idx < len; idx++) {
+			var term = terms[idx];
+			var postings = this.terms[term];
+			if (!postings) return { total: 0, results: [] };
+			
+			var idf = Math.log( 1 + (num_docs / Tools.numKeys(postings)) );
+			var term_scores = {};
+			
+			for (var doc_id in postings) {
+				if (scores && !(doc_id in scores)) continue; // all terms must match
+				var entry = this.docs[doc_id];
+				if (opts.type && (entry.type != opts.type)) continue;
+				if (opts.filter && !opts.filter(entry)) continue;
+				
+				var score = (1 + Math.log(postings[doc_id])) * idf;
+				if (entry.title_terms[term]) score += idf * 3;
+				term_scores[doc_id] = (scores ? scores[doc_id] : 0) + score;
+			}
+			
+			scores = term_scores;
+		}
+		
+		var results = Object.keys(scores).map( function(doc_id) {
+			var entry = self.docs[doc_id];
+			var score = scores[doc_id];
+			
+			// exact phrase match gets a bonus
+			if ((terms.length > 1) && (entry.text.toLowerCase().indexOf(phrase) > -1)) score *= 1.5;
+			
+			return { doc_id, score };
+		} );
+		
+		results.sort( function(a, b) { return b.score - a.score; } );
+		
+		return {
+			total: results.length,
+			results: results.slice( offset, offset + limit ).map( function(result) {
+				var entry = self.docs[ result.doc_id ];
+				var item = Tools.copyHashRemoveKeys( entry, { text: 1, length: 1, terms: 1, title_terms: 1 } );
+				item.score = Tools.shortFloat( result.score );
+				item.snippet = self.getSnippet( entry.text, terms );
+				return item;
+			} )
+		};
+	}
+	
+	getVector(id) {
+		// get normalized tf-idf term vector for document, for comparing documents to each other
+		var entry = this.docs[id];
+		if (!entry) return {};
+		
+		var num_docs = Tools.numKeys(this.docs);
+		var vector = {};
+		var sum = 0;
+		
+		entry.terms.forEach( function(term) {
+			var postings = this.terms[term];
+			var weight = (1 + Math.log(postings[id])) * Math.log( 1 + (num_docs / Tools.numKeys(postings)) );
+			vector[term] = weight;
+			sum += weight * weight;
+		}, this );
+		
+		var norm = Math.sqrt(sum) || 1;
+		for (var term in vector) vector[term] /= norm;
+		return vector;
+	}
+	
+	getSimilarity(vec_a, vec_b) {
+		// cosine similarity of two normalized term vectors, from 0 to 1
+		var score = 0;
+		for (var term in vec_a) {
+			if (term in vec_b) score += vec_a[term] * vec_b[term];
+		}
+		return score;
+	}
+	
+	getSnippet(text, terms, max_chars = 200) {
+		// locate first matching term in text and return highlighted, html-safe excerpt
+		var regexp = new RegExp( '\\b(' + terms.map( Tools.escapeRegExp ).join('|') + ')\\b', 'ig' );
+		var start = 0;
+		
+		var first = regexp.exec(text);
+		if (first) start = Math.max( 0, first.index - Math.floor(max_chars / 3) );
+		
+		// snap to word boundaries
+		if (start > 0) start = text.indexOf(' ', start) + 1;
+		var end = Math.min( text.length, start + max_chars );
+		if (end < text.length) end = Math.max( text.lastIndexOf(' ', end), start + 1 );
+		
+		var excerpt = text.substring(start, end);
+		var html = '';
+		var last = 0;
+		var match = null;
+		
+		regexp.lastIndex = 0;
+		while ((match = regexp.exec(excerpt))) {
+			html += encodeEntities( excerpt.substring(last, match.index) );
+			html += '<mark>' + encodeEntities( match[0] ) + '</mark>';
+			last = match.index + match[0].length;
+		}
+		html += encodeEntities( excerpt.substring(last) );
+		
+		if (start > 0) html = '&hellip;' + html;
+		if (end < text.length) html += '&hellip;';
+		return html;
+	}
+	
+	getPlainText(markdown) {
+		// convert markdown source to plain text suitable for indexing and snippets
+		return (markdown || '').toString()
+			.replace(/<\!--[\s\S]*?-->/g, '') // comments (article metadata)
+			.replace(/<[^>]+>/g, ' ') // html tags
+			.replace(/^```.*$/mg, '') // code fences (keep code, as it contains option names)
+			.replace(/\!\[([^\]]*)\]\([^\)]*\)/g, '$1') // images
+			.replace(/\[([^\]]+)\]\([^\)]*\)/g, '$1') // links
+			.replace(/^\s*(#+|>+|[\-\*\+]\s|\d+\.\s)/mg, '') // headings, quotes, lists
+			.replace(/[\*`\|]+/g, ' ') // emphasis, inline code, tables
+			.replace(/&nbsp;/g, ' ')
+			.replace(/\s+/g, ' ')
+			.trim();
+	}
+	
+	tokenize(text) {
+		// split text into lower-case index terms
+		return (text.toString().toLowerCase().match(/\w+/g) || []).filter( function(word) {
+			return (word.length > 1) && !STOP_WORDS[word];
+		} );
+	}
+
+}
+
+function encodeEntities(text) {
+	// escape text for inclusion in html
+	return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+module.exports = SearchIndex;
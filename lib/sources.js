@@ -0,0 +1,230 @@
+// PixlCore Content Sources
+// Pluggable backends for fetching raw markdown: GitHub, local directory tree, S3-compatible bucket
+// Copyright (c) 2026 Joseph Huckaby
+
+const fs = require('fs');
+const Path = require('path');
+const crypto = require('crypto');
+const Tools = require("pixl-tools");
+
+class ContentSource {
+	// base class for all content sources
+	// loc: { org, repo, branch, file }
+	
+	constructor(id, opts, api) {
+		this.id = id;
+		this.api = api;
+		this.cache = true;
+		this.template = '[org]/[repo]/[branch]/[file]';
+		Tools.mergeHashInto( this, opts || {} );
+	}
+	
+	getKey(loc) {
+		// get path or key for location, using our template
+		return Tools.sub( this.template, loc );
+	}
+	
+	getID(loc) {
+		// get unique id for location, used for caching
+		return this.id + ':' + this.getKey(loc);
+	}
+	
+	fetch(loc, callback) {
+		// fetch content for location, fire callback with (err, text)
+		callback( new Error("Content source does not implement fetch: " + this.id) );
+	}
+	
+	list(loc, callback) {
+		// list filenames in directory for location (loc.file is the dir), fire callback with (err, files)
+		callback( new Error("Content source does not support directory listing: " + this.id) );
+	}
+	
+	getError() {
+		// get reason why this source can't be used (e.g. missing setting), or null if it is ready
+		return null;
+	}
+	
+	logDebug(level, msg, data) {
+		// log debug message via api, with our id as prefix
+		this.api.logDebug( level, '[' + this.id + '] ' + msg, data );
+	}
+
+}
+
+class GitHubSource extends ContentSource {
+	// fetch raw files from github (or any compatible raw http host)
+	
+	constructor(id, opts, api) {
+		super(id, Tools.mergeHashes({ base_url: 'https://raw.githubusercontent.com' }, opts || {}), api);
+	}
+	
+	fetch(loc, callback) {
+		var url = this.base_url.replace(/\/$/, '') + '/' + this.getKey(loc);
+		this.logDebug(9, "Fetching URL: " + url);
+		
+		this.api.request.get( url, function(err, resp, data, perf) {
+			if (err) return callback(err);
+			callback( null, data.toString() );
+		} );
+	}
+
+}
+
+class LocalSource extends ContentSource {
+	// read files from a local directory tree, e.g. a mirror of our repos
+	// base_dir is machine-specific, so it may be left empty in config and set via PIXLCORE_LOCAL_DIR instead
+	
+	constructor(id, opts, api) {
+		super(id, Tools.mergeHashes({ template: '[org]/[repo]/[file]', cache: false }, opts || {}), api);
+		this.base_dir = this.base_dir || process.env.PIXLCORE_LOCAL_DIR || '';
+		if (this.base_dir) this.base_dir = Path.resolve( this.base_dir );
+	}
+	
+	getError() {
+		if (!this.base_dir) return "Local content source requires a base_dir (or the PIXLCORE_LOCAL_DIR environment variable): " + this.id;
+		return null;
+	}
+	
+	fetch(loc, callback) {
+		if (this.getError()) return callback( new Error(this.getError()) );
+		var file = Path.resolve( this.base_dir, this.getKey(loc) );
+		
+		// prevent escaping our base dir
+		if (file.indexOf(this.base_dir + Path.sep) !== 0) {
+			return callback( new Error("Invalid file path: " + loc.file) );
+		}
+		
+		this.logDebug(9, "Using local file: " + file);
+		fs.readFile( file, 'utf8', callback );
+	}
+	
+	list(loc, callback) {
+		if (this.getError()) return callback( new Error(this.getError()) );
+		var dir = Path.resolve( this.base_dir, this.getKey(loc) );
+		
+		// prevent escaping our base dir
+		if ((dir != this.base_dir) && (dir.indexOf(this.base_dir + Path.sep) !== 0)) {
+			return callback( new Error("Invalid directory path: " + loc.file) );
+		}
+		
+		this.logDebug(9, "Listing local directory: " + dir);
+		fs.readdir( dir, { withFileTypes: true }, function(err, entries) {
+			if (err) return callback(err);
+			callback( null, entries.filter( function(entry) { return entry.isFile(); } ).map( function(entry) { return entry.name; } ) );
+		} );
+	}
+
+}
+
+class S3Source extends ContentSource {
+	// fetch files from an s3-compatible bucket, signed with aws sig v4 if credentials are available
+	
+	constructor(id, opts, api) {
+		super(id, Tools.mergeHashes({
+			region: 'us-east-1',
+			prefix: '',
+			access_key_id: process.env.AWS_ACCESS_KEY_ID || '',
+			secret_access_key: process.env.AWS_SECRET_ACCESS_KEY || ''
+		}, opts || {}), api);
+		
+		if (!this.bucket) throw new Error("S3 content source requires a bucket: " + id);
+	}
+	
+	getKey(loc) {
+		// prepend optional prefix to key
+		return this.prefix + super.getKey(loc);
+	}
+	
+	getURL(key) {
+		// custom endpoints (minio, r2, etc.) use path-style urls, aws uses virtual-hosted style
+		var path = '/' + key.split('/').map( encodeRFC3986 ).join('/');
+		
+		if (this.endpoint) return this.endpoint.replace(/\/$/, '') + '/' + encodeRFC3986(this.bucket) + path;
+		else return 'https://' + this.bucket + '.s3.' + this.region + '.amazonaws.com' + path;
+	}
+	
+	fetch(loc, callback) {
+		var url = this.getURL( this.getKey(loc) );
+		var headers = {};
+		
+		if (this.access_key_id && this.secret_access_key) this.signRequest(url, headers);
+		this.logDebug(9, "Fetching S3 URL: " + url);
+		
+		this.api.request.get( url, { headers }, function(err, resp, data, perf) {
+			if (err) return callback(err);
+			callback( null, data.toString() );
+		} );
+	}
+	
+	signRequest(url, headers) {
+		// add aws signature v4 headers for simple GET request
+		var url_obj = new URL(url);
+		var amz_date = (new Date()).toISOString().replace(/[\:\-]|\.\d{3}/g, '');
+		var date_stamp = amz_date.substring(0, 8);
+		var scope = [ date_stamp, this.region, 's3', 'aws4_request' ].join('/');
+		var payload_hash = 'UNSIGNED-PAYLOAD';
+		var signed_headers = 'host;x-amz-content-sha256;x-amz-date';
+		
+		var canonical_request = [
+			'GET',
+			url_obj.pathname,
+			'',
+			'host:' + url_obj.host,
+			'x-amz-content-sha256:' + payload_hash,
+			'x-amz-date:' + amz_date,
+			'',
+			signed_headers,
+			payload_hash
+		].join("\n");
+		
+		var string_to_sign = [
+			'AWS4-HMAC-SHA256',
+			amz_date,
+			scope,
+			crypto.createHash('sha256').update(canonical_request).digest('hex')
+		].join("\n");
+		
+		var key = hmac( 'AWS4' + this.secret_access_key, date_stamp );
+		key = hmac( key, this.region );
+		key = hmac( key, 's3' );
+		key = hmac( key, 'aws4_request' );
+		
+		headers['X-Amz-Date'] = amz_date;
+		headers['X-Amz-Content-Sha256'] = payload_hash;
+		headers['Authorization'] = 'AWS4-HMAC-SHA256 Credential=' + this.access_key_id + '/' + scope +
+			', SignedHeaders=' + signed_headers + ', Signature=' + hmac(key, string_to_sign).toString('hex');
+	}
+
+}
+
+function hmac(key, data) {
+	// sha256 hmac, returns buffer
+	return crypto.createHmac('sha256', key).update(data).digest();
+}
+
+function encodeRFC3986(str) {
+	// strict uri encoding as required by aws
+	return encodeURIComponent(str).replace(/[!'()*]/g, function(c) {
+		return '%' + c.charCodeAt(0).toString(16).toUpperCase();
+	});
+}
+
+const types = {
+	github: GitHubSource,
+	local: LocalSource,
+	s3: S3Source
+};
+
+module.exports = {
+	ContentSource,
+	GitHubSource,
+	LocalSource,
+	S3Source,
+	
+	create: function(id, opts, api) {
+		// construct content source from config
+		var source_class = types[ opts.type ];
+		if (!source_class) throw new Error("Unknown content source type: " + opts.type + " (" + id + ")");
+		return new source_class(id, opts, api);
+	}
+};